@@ -1,19 +1,51 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
 
 /**
  * Yatrz System — Web OS in a single React component
  * --------------------------------------------------
  * Features
- * - Desktop UI (icons, wallpaper)
- * - Start menu with search & app list
- * - Taskbar with running apps, clock, notifications placeholder
- * - Window manager (drag, focus, minimize, maximize, close; resize via CSS)
- * - Virtual File System (VFS) persisted to localStorage
- * - File Manager (create, rename, move, delete files/folders)
- * - Apps: Notepad, Markdown Editor (with preview), Calculator, Browser (sandboxed), Terminal (simulated), Settings
+ * - Desktop UI (icons, wallpaper); shortcuts to apps, folders and files
+ * - Start menu with search & app list, plus full-text file search (incremental index)
+ * - Taskbar with running apps, clock and a notification center (history, severities,
+ *   actions, unread badge, do-not-disturb)
+ * - Window manager (drag, resize from edges/corners, focus, minimize, maximize, close);
+ *   geometry lives in window state and stays inside the viewport above the taskbar
+ * - Edge snapping (halves/quarters/maximize), tiling layouts and virtual desktops
+ * - Keyboard shortcuts (system and per-app, rebindable in Settings) and an Alt+Tab window switcher
+ * - Context menus on the desktop, files and taskbar (pinned apps); apps and plugins can add entries
+ * - Touch and pen: pointer-event drag/resize, tap/double-tap/long-press on icons, and a
+ *   mobile layout (full-screen windows with a task switcher) on small screens
+ * - Virtual File System (VFS) persisted to IndexedDB node by node (localStorage fallback)
+ * - File Manager (create, rename, move, delete files/folders; icon and details views, properties)
+ * - Multi-select (Ctrl/Shift/rubber-band), cut/copy/paste with recursive copy, and drag-and-drop
+ *   between Files windows, folders and the Desktop
+ * - File metadata: created/modified times, size and MIME type
+ * - Recycle bin (/Trash) with restore and empty
+ * - Document version history (bounded per file) with line diff and rollback
+ * - Import host files (picker or drag-and-drop); download files, or folders as .zip
+ * - Binary files (images, PDFs, audio...) stored as Blobs, not JSON strings
+ * - File change events (sys.watch) keep open editors in sync
+ * - Session restore: open windows (and small per-app state) come back after reload
+ * - Apps: Notepad, Markdown Editor (with preview), Calculator, Browser (sandboxed), Terminal (simulated), Settings, Image Viewer
+ * - Terminal shell: quotes and escapes, pipes, `<`/`>`/`>>` redirection into the VFS, `;`/`&&`/`||`
+ *   chaining and variables ($HOME, $PWD, $USER, NAME=value); per-user history (Up/Down, Ctrl+R),
+ *   Tab completion of commands and paths, and readline-style Ctrl+A/E/U/L/C
+ * - Terminal command registry with help/man; commands drive the desktop (open, launch, notify,
+ *   wallpaper, accent, ps/kill) and apps and plugins can add their own
+ * - Shell scripts in the VFS (`sh file`, `source`, executable .sh files) with comments, if/for,
+ *   test/[ and exit codes; ~/.yatrzrc runs in each new Terminal, ~/.yatrz_login after login
+ * - Terminal file utilities: cp -r, find, grep (regex, -n, -r), head/tail, wc, tree, du, ls -l,
+ *   and `*`/`?`/`[...]` globbing of unquoted words
  * - Theming (Light/Dark), wallpaper URL, accent color, layout density
- * - Auth (optional): simple local profile with password hashing using WebCrypto
- * - Modular app registry (plugins: URL-based web apps in sandboxed iframes)
+ * - Accessibility: ARIA roles and labels, focus follows launched/closed windows, arrow-key
+ *   navigation in the Start menu, Desktop, Files and menus; high-contrast and reduced-motion modes
+ * - Localization: shell and built-in apps read strings from a locale catalog (pt-BR, en),
+ *   chosen per profile in Settings; dates follow the locale; plugins may declare localized names
+ * - Auth (optional): simple local profiles with password hashing using WebCrypto;
+ *   each profile has its own VFS, personalization and plugin list
+ * - Modular app registry (plugins: URL-based web apps in sandboxed iframes, added by hand or
+ *   from a JSON manifest that can declare context menu entries and Terminal commands)
  * - SPA-ready; PWA helper to register a simple Service Worker (optional)
  *
  * Notes
@@ -54,6 +86,17 @@ async function sha256(message) {
     .join("");
 }
 
+// Storage errors (e.g. quota exceeded) are reported to subscribers instead of only logged
+const storageErrorListeners = new Set();
+function onStorageError(fn) {
+  storageErrorListeners.add(fn);
+  return () => storageErrorListeners.delete(fn);
+}
+
+function isQuotaError(e) {
+  return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22);
+}
+
 // LocalStorage JSON helpers
 const storage = {
   get(key, fallback) {
@@ -70,6 +113,7 @@ const storage = {
       localStorage.setItem(lsKey(key), JSON.stringify(value));
     } catch (e) {
       console.warn("Storage set error", key, e);
+      storageErrorListeners.forEach((fn) => fn(e, key));
     }
   },
   remove(key) {
@@ -79,23 +123,986 @@ const storage = {
   },
 };
 
+// Per-profile storage namespace, e.g. "user:<id>:theme"
+function userKey(user, key) {
+  return user ? `user:${user.id}:${key}` : null;
+}
+
+// useState persisted under a storage key. When the key changes (login/logout)
+// the value is re-read from the new key; a null key keeps the value in memory only.
+// `fallback` may be a function, evaluated only when the key holds nothing.
+function useStoredState(key, fallback) {
+  const read = (k) => {
+    const fb = () => (typeof fallback === "function" ? fallback() : fallback);
+    if (!k) return fb();
+    const v = storage.get(k, undefined);
+    return v === undefined ? fb() : v;
+  };
+  const [state, setState] = useState(() => ({ key, value: read(key) }));
+  let current = state;
+  if (state.key !== key) {
+    current = { key, value: read(key) };
+    setState(current);
+  }
+  useEffect(() => {
+    if (state.key) storage.set(state.key, state.value);
+  }, [state]);
+  const set = (v) => setState((s) => ({ ...s, value: typeof v === "function" ? v(s.value) : v }));
+  return [current.value, set];
+}
+
+function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => window.matchMedia(query).matches);
+  useEffect(() => {
+    const mq = window.matchMedia(query);
+    const onChange = () => setMatches(mq.matches);
+    onChange();
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, [query]);
+  return matches;
+}
+
+const LONG_PRESS_MS = 500;
+const DOUBLE_TAP_MS = 300;
+const TAP_SLOP = 10; // px a finger may drift and still count as a tap
+
+// Tap, double-tap and long-press for any pointer (mouse, touch, pen). Long-press and
+// right-click both call onLongPress({ x, y }), so touch devices get context menus too.
+function usePointerGestures({ onTap, onDoubleTap, onLongPress }) {
+  const g = useRef({ timer: null, down: null, lastTap: null, longFired: false });
+  const cancel = () => {
+    clearTimeout(g.current.timer);
+    g.current.down = null;
+  };
+  return {
+    onPointerDown: (e) => {
+      if (!e.isPrimary || e.button !== 0) return;
+      const s = g.current;
+      const point = { x: e.clientX, y: e.clientY };
+      s.down = point;
+      s.longFired = false;
+      clearTimeout(s.timer);
+      if (onLongPress && e.pointerType !== "mouse") {
+        s.timer = setTimeout(() => {
+          s.longFired = true;
+          s.down = null;
+          onLongPress(point);
+        }, LONG_PRESS_MS);
+      }
+    },
+    onPointerMove: (e) => {
+      const d = g.current.down;
+      if (d && Math.hypot(e.clientX - d.x, e.clientY - d.y) > TAP_SLOP) cancel();
+    },
+    onPointerUp: (e) => {
+      const s = g.current;
+      if (!s.down) return;
+      cancel();
+      const now = Date.now();
+      const last = s.lastTap;
+      if (onDoubleTap && last && now - last.t < DOUBLE_TAP_MS && Math.hypot(e.clientX - last.x, e.clientY - last.y) < TAP_SLOP * 2) {
+        s.lastTap = null;
+        onDoubleTap(e);
+      } else {
+        s.lastTap = { t: now, x: e.clientX, y: e.clientY };
+        onTap?.(e);
+      }
+    },
+    onPointerCancel: cancel,
+    onContextMenu: (e) => {
+      if (!onLongPress) return;
+      e.preventDefault();
+      e.stopPropagation(); // the innermost target owns the menu
+      if (g.current.longFired) return; // touch browsers fire contextmenu after our long-press
+      cancel();
+      onLongPress({ x: e.clientX, y: e.clientY });
+    },
+  };
+}
+
+// Arrow-key focus movement among a container's `[data-nav]` items. Left/Right and Home/End
+// follow document order; Up/Down pick the nearest item in that direction on screen, so
+// wrapped grids and plain lists both work. Returns the newly focused item, if any.
+function moveFocus(e, container, selector = "[data-nav]") {
+  if (!container || !["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End"].includes(e.key)) return null;
+  const items = [...container.querySelectorAll(selector)].filter((el) => !el.disabled && el.getClientRects().length);
+  if (!items.length) return null;
+  const i = items.findIndex((el) => el.contains(document.activeElement));
+  let next;
+  if (e.key === "Home") next = items[0];
+  else if (e.key === "End") next = items[items.length - 1];
+  else if (i < 0) next = items[0];
+  else if (e.key === "ArrowLeft") next = items[i - 1];
+  else if (e.key === "ArrowRight") next = items[i + 1];
+  else {
+    const dir = e.key === "ArrowDown" ? 1 : -1;
+    const center = (el) => {
+      const r = el.getBoundingClientRect();
+      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    };
+    const from = center(items[i]);
+    let best = Infinity;
+    for (const el of items) {
+      const c = center(el);
+      const along = (c.y - from.y) * dir;
+      if (along < 2) continue;
+      // Nearest row first, then the closest column in it
+      const score = along + Math.abs(c.x - from.x) * 3;
+      if (score < best) {
+        best = score;
+        next = el;
+      }
+    }
+  }
+  if (!next) return null;
+  e.preventDefault();
+  next.focus();
+  return next;
+}
+
+// Gives focus back to whatever had it when the component mounted (menus, popups, windows).
+// The opener is read during the first render, before any autoFocus inside runs.
+function useFocusReturn() {
+  const [opener] = useState(() => document.activeElement);
+  useEffect(() => () => {
+    if (opener?.isConnected && opener !== document.body) opener.focus?.();
+  }, []);
+}
+
+// Opening a context menu from the keyboard (Menu key or Shift+F10), anchored to the element
+const isMenuKey = (e) => e.key === "ContextMenu" || (e.shiftKey && e.key === "F10");
+const menuPoint = (el) => {
+  const r = el.getBoundingClientRect();
+  return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+};
+
 /*********************************
- * VFS — Virtual File System
+ * Internationalization
  *********************************/
-const DEFAULT_FS = {
-  name: "/",
-  type: "dir",
-  children: [
-    { name: "Desktop", type: "dir", children: [] },
-    { name: "Documents", type: "dir", children: [] },
-    { name: "Downloads", type: "dir", children: [] },
-    { name: "Apps", type: "dir", children: [] },
-    { name: "README.txt", type: "file", content: `Welcome to Yatrz System!\n\n- Open the Start Menu to launch apps.\n- Use Settings to change wallpaper and theme.\n- Files are saved inside your browser.\n- Try the Terminal: help, ls, cd, cat, echo, touch, mkdir, rm, theme, whoami.` },
-  ],
+// Message catalogs, one per locale. Keys are "<area>.<name>"; values may hold {placeholders}.
+const LOCALES = {
+  "pt-BR": {
+    label: "Português (Brasil)",
+    messages: {
+      "app.files": "Arquivos",
+      "app.notepad": "Bloco de Notas",
+      "app.terminal": "Terminal",
+      "app.browser": "Navegador",
+      "app.settings": "Configurações",
+      "app.markdown": "Markdown Editor",
+      "app.calc": "Calculadora",
+      "app.images": "Visualizador de Imagens",
+
+      "fs.trash": "Lixeira",
+      "fs.readme": "Bem-vindo ao Yatrz System!\n\n- Abra o menu Iniciar para iniciar apps.\n- Use Configurações para mudar o papel de parede, o tema e o idioma.\n- Os arquivos ficam salvos no seu navegador.\n- Experimente o Terminal: help, ls, cd, cat, echo, touch, mkdir, rm, theme, whoami.",
+      "fs.invalidDir": "Diretório inválido: {path}",
+      "fs.notFile": "Não é um arquivo: {path}",
+      "fs.invalidPath": "Caminho inválido",
+      "fs.cannotDelete": "Não é possível excluir {path}",
+      "fs.notFound": "Não encontrado: {path}",
+      "fs.notDir": "Não é um diretório: {path}",
+      "fs.notInTrash": "Não está na Lixeira: {name}",
+      "fs.invalidMove": "Movimento inválido",
+      "fs.moveIntoSelf": "Não é possível mover uma pasta para dentro dela mesma",
+      "fs.copyIntoSelf": "Não é possível copiar uma pasta para dentro dela mesma",
+      "fs.noShortcutDownload": "Atalhos não podem ser baixados",
+      "fs.invalidName": "Nome inválido: {name}",
+      "fs.exists": "Já existe um item chamado {name}",
+      "fs.trashTarget": "Só a exclusão (rm) coloca itens na Lixeira",
+
+      "shortcut.save": "Salvar",
+      "shortcut.copy": "Copiar",
+      "shortcut.cut": "Recortar",
+      "shortcut.paste": "Colar",
+      "shortcut.selectAll": "Selecionar tudo",
+      "shortcut.delete": "Excluir",
+      "shortcut.rename": "Renomear",
+      "shortcut.brokenApp": "Atalho quebrado: app {id} não instalado",
+      "shortcut.brokenPath": "Atalho quebrado: {path} não existe",
+      "shortcut.start.toggle": "Abrir/fechar menu Iniciar",
+      "shortcut.window.switch": "Alternar janelas",
+      "shortcut.window.switchBack": "Alternar janelas (voltar)",
+      "shortcut.window.close": "Fechar janela",
+      "shortcut.window.minimize": "Minimizar janela",
+      "shortcut.window.maximize": "Maximizar/restaurar janela",
+      "shortcut.desktop.prev": "Área de trabalho anterior",
+      "shortcut.desktop.next": "Próxima área de trabalho",
+      "shortcut.desktop.movePrev": "Mover janela para a área anterior",
+      "shortcut.desktop.moveNext": "Mover janela para a próxima área",
+      "shortcut.desktop.n": "Ir para a área de trabalho {n}",
+      "shortcut.selfTarget": "Um atalho não pode apontar para si mesmo",
+
+      "menu.newNote": "Nova nota",
+      "menu.openInTerminal": "Abrir no Terminal",
+      "menu.open": "Abrir",
+      "menu.openWith": "Abrir com",
+
+      "scope.system": "Sistema",
+
+      "storage.recovered": "Armazenamento recuperado — arquivos salvos",
+      "storage.title": "Armazenamento",
+      "storage.full": "Armazenamento cheio — alterações mantidas em memória. Libere espaço para salvar.",
+      "storage.failed": "Falha ao salvar arquivos — alterações mantidas em memória.",
+      "storage.openTrash": "Abrir Lixeira",
+
+      "auth.userExists": "Usuário já existe",
+      "auth.userNotFound": "Usuário não encontrado",
+      "auth.wrongPassword": "Senha incorreta",
+      "auth.createProfile": "Criar perfil",
+      "auth.login": "Entrar",
+      "auth.username": "Usuário",
+      "auth.password": "Senha",
+      "auth.create": "Criar",
+      "auth.haveAccount": "Já tenho conta",
+      "auth.newAccount": "Criar nova conta",
+
+      "boot.loadingFiles": "Carregando arquivos de {user}...",
+
+      "settings.language": "Idioma",
+      "settings.theme": "Tema",
+      "settings.accent": "Acento",
+      "settings.saved": "Configurações salvas",
+      "settings.swUnsupported": "SW não suportado",
+      "settings.swRegistered": "Service Worker registrado (básico)",
+      "settings.swFailed": "Falha ao registrar SW: {error}",
+      "settings.appearance": "Aparência",
+      "settings.wallpaper": "URL do papel de parede",
+      "settings.themeLight": "Claro",
+      "settings.themeDark": "Escuro",
+      "settings.density": "Densidade",
+      "settings.densityCompact": "Compacta",
+      "settings.densityCozy": "Aconchegante (padrão)",
+      "settings.densityComfortable": "Confortável",
+      "settings.layout": "Layout",
+      "settings.layoutAuto": "Automático (pela tela)",
+      "settings.layoutDesktop": "Desktop (janelas flutuantes)",
+      "settings.layoutMobile": "Móvel (tela cheia)",
+      "settings.restoreSession": "Restaurar janelas abertas ao entrar",
+      "settings.pwaHelp": "Registre um Service Worker básico para uso offline (demonstração). Para produção, inclua seu sw.js e manifest.json.",
+      "settings.registerSw": "Registrar SW",
+      "settings.motion": "Animações",
+      "settings.motionAuto": "Seguir o sistema",
+      "settings.motionReduce": "Reduzidas",
+      "settings.motionFull": "Completas",
+      "settings.highContrast": "Alto contraste",
+
+      "files.folderNamePrompt": "Nome da pasta:",
+      "files.fileNamePrompt": "Nome do arquivo:",
+      "files.newFolderName": "Nova Pasta",
+      "files.newFileName": "novo.txt",
+      "files.newFile": "Novo arquivo",
+      "files.newFolder": "Nova pasta",
+      "files.imported": "{count} arquivo(s) importado(s) para {path}",
+      "files.importFailed": "Falha ao importar: {error}",
+      "files.restore": "Restaurar",
+      "files.restoredTo": "Restaurado em {path}",
+      "files.deletePermanently": "Excluir permanentemente",
+      "files.confirmDelete": "Excluir {name} permanentemente?",
+      "files.renamePrompt": "Novo nome:",
+      "files.sendToDesktop": "Enviar para a Área de Trabalho",
+      "files.nItems": "{count} itens",
+      "files.movedToTrash": "{name} movido(s) para a Lixeira",
+      "files.confirmEmptyTrash": "Esvaziar a Lixeira? Os itens serão excluídos permanentemente.",
+      "files.emptyTrash": "Esvaziar lixeira",
+      "files.import": "Importar",
+      "files.properties": "Propriedades",
+      "files.openFile": "Abrir arquivo",
+      "files.downloadFailed": "Falha ao baixar: {error}",
+      "files.download": "Baixar {name}",
+      "files.downloadSelection": "Baixar seleção (.zip)",
+      "files.downloadFolder": "Baixar pasta (.zip)",
+      "files.toggleView": "Alternar visualização",
+      "files.statusItems": "{count} item(ns)",
+      "files.statusSelected": "{count} selecionado(s)",
+      "files.statusCut": "{count} na área de transferência (recortar)",
+      "files.statusCopied": "{count} na área de transferência (copiar)",
+      "files.removeShortcut": "Remover atalho",
+      "files.moveToTrash": "Mover para a Lixeira",
+      "files.up": "Pasta acima",
+
+      "desktop.changeWallpaper": "Alterar papel de parede…",
+      "desktop.wallpaperPrompt": "URL do papel de parede:",
+
+      "taskbar.unpin": "Desafixar da barra de tarefas",
+      "taskbar.pin": "Fixar na barra de tarefas",
+      "taskbar.newWindow": "Nova janela",
+      "taskbar.start": "Iniciar",
+      "taskbar.openWindows": "Janelas abertas",
+      "taskbar.desktops": "Áreas de trabalho (Ctrl+Alt+←/→)",
+      "taskbar.arrange": "Organizar janelas",
+      "taskbar.logout": "Sair",
+      "taskbar.noWindows": "Nenhuma janela aberta",
+
+      "window.restore": "Restaurar",
+      "window.minimize": "Minimizar",
+      "window.restoreSize": "Restaurar tamanho",
+      "window.maximize": "Maximizar",
+      "window.close": "Fechar",
+      "window.minimized": "minimizada",
+      "window.onDesktop": "área {n}",
+
+      "notify.info": "Info",
+      "notify.success": "Sucesso",
+      "notify.warning": "Aviso",
+      "notify.error": "Erro",
+      "notify.center": "Notificações",
+      "notify.dnd": "Não perturbe",
+      "notify.empty": "Nenhuma notificação",
+      "notify.remove": "Remover",
+      "notify.clearAll": "Limpar tudo",
+      "notify.dismiss": "Dispensar",
+
+      "start.search": "Buscar apps e arquivos...",
+      "start.sentToDesktop": "{name} enviado para a Área de Trabalho",
+      "start.files": "Arquivos",
+      "start.apps": "Aplicativos",
+
+      "layout.columns": "Colunas",
+      "layout.rows": "Linhas",
+      "layout.grid": "Grade",
+      "layout.main": "Principal + pilha",
+      "layout.cascade": "Cascata",
+
+      "notepad.binary": "{name} é um arquivo binário e não pode ser editado",
+      "notepad.defaultName": "nota.txt",
+      "notepad.placeholder": "Escreva suas notas aqui...",
+
+      "editor.saveAs": "Salvar como:",
+      "editor.savedIn": "Arquivo salvo em {path}",
+      "editor.openFolder": "Abrir pasta",
+      "editor.changesSaved": "Alterações salvas",
+      "editor.versionRestored": "Versão restaurada",
+      "editor.save": "Salvar",
+      "editor.new": "Novo",
+      "editor.history": "Histórico",
+      "editor.saved": "Arquivo salvo",
+      "editor.changedOutside": "O arquivo foi alterado fora deste editor. Salvar agora sobrescreve essas alterações.",
+      "editor.deletedOutside": "O arquivo foi excluído ou movido para a Lixeira. Salvar criará uma nova cópia.",
+      "editor.reload": "Recarregar",
+      "editor.keepMine": "Manter minha versão",
+      "editor.restore": "Restaurar",
+      "editor.noRevisions": "Nenhuma versão anterior.",
+
+      "markdown.sample": "# Olá, Markdown!\n\n- Escreva à esquerda\n- Veja a prévia à direita\n\n**Yatrz** ❤️",
+      "markdown.defaultName": "documento.md",
+
+      "browser.go": "Ir",
+
+      "props.name": "Nome",
+      "props.mtime": "Modificado",
+      "props.mime": "Tipo",
+      "props.size": "Tamanho",
+      "props.location": "Local",
+      "props.target": "Destino",
+      "props.items": "Itens",
+      "props.ctime": "Criado",
+      "props.deletedFrom": "Excluído de",
+      "props.deletedAt": "Excluído em",
+
+      "images.title": "Imagens",
+      "images.prev": "Anterior (←)",
+      "images.next": "Próxima (→)",
+      "images.zoomOut": "Diminuir zoom (-)",
+      "images.zoomIn": "Aumentar zoom (+)",
+      "images.fit": "Ajustar",
+      "images.fitted": "Ajustado",
+      "images.notFound": "Imagem não encontrada",
+      "images.empty": "Abra uma imagem pelo app Arquivos",
+
+      "term.welcome": "Yatrz Terminal — digite 'help' para comandos.",
+      "term.help": "Comandos (man <comando> para detalhes):",
+      "term.empty": "(vazio)",
+      "term.error": "Erro: {error}",
+      "term.invalidDir": "diretório inválido",
+      "term.invalidFile": "arquivo inválido",
+      "term.binary": "(arquivo binário, {size})",
+      "term.usage": "uso: {usage}",
+      "term.movedTo": "movido para {path}",
+      "term.theme": "tema: {theme}",
+      "term.notFound": "Comando não encontrado",
+      "term.search": "(busca reversa)",
+      "term.noMatch": "(nenhum resultado)",
+      "term.noManual": "sem manual para {name}",
+      "term.fromApp": "fornecido por: {app}",
+      "term.badAccent": "cor inválida; use uma de: {list}",
+      "term.noApp": "app não encontrado: {name} (launch lista os apps)",
+      "term.noWindow": "nenhuma janela única com id {id} (veja ps)",
+      "term.isDir": "{path}: é uma pasta",
+      "term.exists": "{path} já existe",
+      "term.badRegex": "expressão regular inválida: {pattern}",
+      "term.total": "total",
+      "term.treeCount": "{dirs} pastas, {files} arquivos",
+
+      "plugins.namePrompt": "Nome do app:",
+      "plugins.defaultName": "Meu Plugin",
+      "plugins.namesPrompt": "Nome em outros idiomas (opcional), ex.: en=My Plugin; pt-BR=Meu Plugin",
+      "plugins.urlPrompt": "URL (iframe)",
+      "plugins.iconPrompt": "Ícone (emoji)",
+      "plugins.add": "Adicionar Plugin",
+      "plugins.addManifest": "Instalar de manifesto",
+      "plugins.manifestPrompt": "Cole o manifesto JSON ou a URL dele",
+      "plugins.manifestFailed": "Manifesto de plugin",
+      "plugins.badManifest": "Manifesto inválido: campo {field}",
+      "plugins.installed": "Plugin {name} instalado",
+      "plugins.reservedId": "\"{id}\" é o id de um app do sistema; escolha outro nome",
+
+      "shortcuts.clash": "{combo} já é usado por \"{label}\" ({scope})",
+      "shortcuts.title": "Atalhos de teclado",
+      "shortcuts.reset": "Restaurar padrões",
+      "shortcuts.press": "Pressione as teclas…",
+      "shortcuts.default": "padrão",
+
+      "a11y.windowControls": "Controles da janela",
+      "a11y.taskbar": "Barra de tarefas",
+      "a11y.desktopN": "Área de trabalho {n} ({count} janelas)",
+      "a11y.unread": "Notificações ({count} não lidas)",
+      "a11y.desktop": "Ícones da Área de Trabalho",
+
+      "shell.syntax": "erro de sintaxe próximo a '{token}'",
+      "shell.unterminated": "aspas não fechadas",
+      "shell.badSubstitution": "substituição inválida: {text}",
+      "shell.notNumber": "número esperado: {value}",
+      "shell.badTest": "expressão inválida: {expr}",
+      "shell.notExecutable": "{name}: não é um script executável",
+      "shell.tooDeep": "scripts aninhados demais",
+      "shell.loginScript": "Script de login",
+      "shell.exitStatus": "terminou com status {status}",
+
+      "cmd.help.usage": "help [comando]",
+      "cmd.help.help": "lista os comandos, ou mostra a ajuda de um",
+      "cmd.man.usage": "man <comando>",
+      "cmd.man.help": "mostra uso e descrição de um comando",
+      "cmd.ls.usage": "ls [-l] [caminho...]",
+      "cmd.ls.help": "lista pastas (-l com tamanho e data)",
+      "cmd.cd.usage": "cd [caminho]",
+      "cmd.cd.help": "muda a pasta atual (sem argumento: $HOME)",
+      "cmd.pwd.usage": "pwd",
+      "cmd.pwd.help": "mostra a pasta atual",
+      "cmd.cat.usage": "cat [arquivo...]",
+      "cmd.cat.help": "mostra arquivos, ou a entrada",
+      "cmd.echo.usage": "echo [texto...]",
+      "cmd.echo.help": "escreve o texto",
+      "cmd.grep.usage": "grep [-invr] <regex> [arquivo...]",
+      "cmd.grep.help": "linhas que casam com uma expressão regular",
+      "cmd.touch.usage": "touch <arquivo...>",
+      "cmd.touch.help": "cria um arquivo vazio",
+      "cmd.mkdir.usage": "mkdir <pasta...>",
+      "cmd.mkdir.help": "cria uma pasta",
+      "cmd.rm.usage": "rm [-P|--permanent] <caminho...>",
+      "cmd.rm.help": "move para a Lixeira (-P apaga de vez)",
+      "cmd.mv.usage": "mv <origem...> <pasta> | mv <origem> <novo-nome>",
+      "cmd.mv.help": "move para outra pasta ou renomeia",
+      "cmd.env.usage": "env",
+      "cmd.env.help": "lista as variáveis",
+      "cmd.export.usage": "export NOME=valor...",
+      "cmd.export.help": "define variáveis (também: NOME=valor)",
+      "cmd.theme.usage": "theme light|dark",
+      "cmd.theme.help": "muda o tema",
+      "cmd.wallpaper.usage": "wallpaper [url]",
+      "cmd.wallpaper.help": "mostra ou muda o papel de parede",
+      "cmd.accent.usage": "accent [cor]",
+      "cmd.accent.help": "mostra ou muda a cor de destaque",
+      "cmd.notify.usage": "notify [-l info|success|warning|error] <texto...>",
+      "cmd.notify.help": "envia uma notificação",
+      "cmd.open.usage": "open <caminho...>",
+      "cmd.open.help": "abre com o app associado",
+      "cmd.launch.usage": "launch [app] [arquivo]",
+      "cmd.launch.help": "abre um app (sem argumento: lista os apps)",
+      "cmd.ps.usage": "ps",
+      "cmd.ps.help": "lista as janelas abertas",
+      "cmd.kill.usage": "kill <id...>",
+      "cmd.kill.help": "fecha janelas pelo id do ps",
+      "cmd.whoami.usage": "whoami",
+      "cmd.whoami.help": "mostra o usuário",
+      "cmd.date.usage": "date",
+      "cmd.date.help": "mostra data e hora",
+      "cmd.clear.usage": "clear",
+      "cmd.clear.help": "limpa a tela",
+      "cmd.edit.usage": "edit <arquivo>",
+      "cmd.edit.help": "abre no Bloco de Notas (cria se não existir)",
+      "cmd.browse.usage": "browse <url>",
+      "cmd.browse.help": "abre uma página no Navegador",
+      "cmd.sh.usage": "sh <arquivo> [args...]",
+      "cmd.sh.help": "executa um script em um shell filho",
+      "cmd.source.usage": "source <arquivo> [args...]",
+      "cmd.source.help": "executa um script neste shell (também: .)",
+      "cmd.dot.usage": ". <arquivo> [args...]",
+      "cmd.test.usage": "test <expressão>",
+      "cmd.test.help": "avalia -e/-f/-d/-s/-n/-z, = != e -eq -ne -lt -le -gt -ge",
+      "cmd.bracket.usage": "[ <expressão> ]",
+      "cmd.true.usage": "true",
+      "cmd.true.help": "termina com status 0",
+      "cmd.false.usage": "false",
+      "cmd.false.help": "termina com status 1",
+      "cmd.exit.usage": "exit [n]",
+      "cmd.exit.help": "sai do script ou fecha o Terminal",
+      "cmd.find.usage": "find [pasta] [-name padrão] [-iname padrão] [-type f|d]",
+      "cmd.find.help": "procura arquivos e pastas pelo nome",
+      "cmd.head.usage": "head [-n N] [arquivo...]",
+      "cmd.head.help": "primeiras linhas de arquivos ou da entrada",
+      "cmd.tail.usage": "tail [-n N] [arquivo...]",
+      "cmd.tail.help": "últimas linhas de arquivos ou da entrada",
+      "cmd.wc.usage": "wc [-lwc] [arquivo...]",
+      "cmd.wc.help": "conta linhas, palavras e bytes",
+      "cmd.tree.usage": "tree [pasta]",
+      "cmd.tree.help": "mostra uma pasta em árvore",
+      "cmd.du.usage": "du [-s] [caminho...]",
+      "cmd.du.help": "tamanho das pastas",
+      "cmd.cp.usage": "cp [-r] <origem...> <destino>",
+      "cmd.cp.help": "copia arquivos (pastas com -r)",
+    },
+  },
+  en: {
+    label: "English",
+    messages: {
+      "app.files": "Files",
+      "app.notepad": "Notepad",
+      "app.terminal": "Terminal",
+      "app.browser": "Browser",
+      "app.settings": "Settings",
+      "app.markdown": "Markdown Editor",
+      "app.calc": "Calculator",
+      "app.images": "Image Viewer",
+
+      "fs.trash": "Trash",
+      "fs.readme": "Welcome to Yatrz System!\n\n- Open the Start Menu to launch apps.\n- Use Settings to change wallpaper, theme and language.\n- Files are saved inside your browser.\n- Try the Terminal: help, ls, cd, cat, echo, touch, mkdir, rm, theme, whoami.",
+      "fs.invalidDir": "Invalid directory: {path}",
+      "fs.notFile": "Not a file: {path}",
+      "fs.invalidPath": "Invalid path",
+      "fs.cannotDelete": "Cannot delete {path}",
+      "fs.notFound": "Not found: {path}",
+      "fs.notDir": "Not a directory: {path}",
+      "fs.notInTrash": "Not in trash: {name}",
+      "fs.invalidMove": "Invalid move",
+      "fs.moveIntoSelf": "Cannot move a folder into itself",
+      "fs.copyIntoSelf": "Cannot copy a folder into itself",
+      "fs.noShortcutDownload": "Shortcuts cannot be downloaded",
+      "fs.invalidName": "Invalid name: {name}",
+      "fs.exists": "An item named {name} already exists",
+      "fs.trashTarget": "Only deleting (rm) puts items in the Trash",
+
+      "shortcut.save": "Save",
+      "shortcut.copy": "Copy",
+      "shortcut.cut": "Cut",
+      "shortcut.paste": "Paste",
+      "shortcut.selectAll": "Select all",
+      "shortcut.delete": "Delete",
+      "shortcut.rename": "Rename",
+      "shortcut.brokenApp": "Broken shortcut: app {id} is not installed",
+      "shortcut.brokenPath": "Broken shortcut: {path} does not exist",
+      "shortcut.start.toggle": "Open/close the Start menu",
+      "shortcut.window.switch": "Switch windows",
+      "shortcut.window.switchBack": "Switch windows (back)",
+      "shortcut.window.close": "Close window",
+      "shortcut.window.minimize": "Minimize window",
+      "shortcut.window.maximize": "Maximize/restore window",
+      "shortcut.desktop.prev": "Previous desktop",
+      "shortcut.desktop.next": "Next desktop",
+      "shortcut.desktop.movePrev": "Move window to the previous desktop",
+      "shortcut.desktop.moveNext": "Move window to the next desktop",
+      "shortcut.desktop.n": "Go to desktop {n}",
+      "shortcut.selfTarget": "A shortcut cannot point to itself",
+
+      "menu.newNote": "New note",
+      "menu.openInTerminal": "Open in Terminal",
+      "menu.open": "Open",
+      "menu.openWith": "Open with",
+
+      "scope.system": "System",
+
+      "storage.recovered": "Storage recovered — files saved",
+      "storage.title": "Storage",
+      "storage.full": "Storage full — changes kept in memory. Free up space to save.",
+      "storage.failed": "Could not save files — changes kept in memory.",
+      "storage.openTrash": "Open Trash",
+
+      "auth.userExists": "User already exists",
+      "auth.userNotFound": "User not found",
+      "auth.wrongPassword": "Wrong password",
+      "auth.createProfile": "Create profile",
+      "auth.login": "Sign in",
+      "auth.username": "Username",
+      "auth.password": "Password",
+      "auth.create": "Create",
+      "auth.haveAccount": "I already have an account",
+      "auth.newAccount": "Create a new account",
+
+      "boot.loadingFiles": "Loading {user}'s files...",
+
+      "settings.language": "Language",
+      "settings.theme": "Theme",
+      "settings.accent": "Accent",
+      "settings.saved": "Settings saved",
+      "settings.swUnsupported": "Service Workers are not supported",
+      "settings.swRegistered": "Service Worker registered (basic)",
+      "settings.swFailed": "Could not register the SW: {error}",
+      "settings.appearance": "Appearance",
+      "settings.wallpaper": "Wallpaper URL",
+      "settings.themeLight": "Light",
+      "settings.themeDark": "Dark",
+      "settings.density": "Density",
+      "settings.densityCompact": "Compact",
+      "settings.densityCozy": "Cozy (default)",
+      "settings.densityComfortable": "Comfortable",
+      "settings.layout": "Layout",
+      "settings.layoutAuto": "Automatic (by screen)",
+      "settings.layoutDesktop": "Desktop (floating windows)",
+      "settings.layoutMobile": "Mobile (full screen)",
+      "settings.restoreSession": "Restore open windows when signing in",
+      "settings.pwaHelp": "Register a basic Service Worker for offline use (demo). For production, ship your own sw.js and manifest.json.",
+      "settings.registerSw": "Register SW",
+      "settings.motion": "Animations",
+      "settings.motionAuto": "Follow the system",
+      "settings.motionReduce": "Reduced",
+      "settings.motionFull": "Full",
+      "settings.highContrast": "High contrast",
+
+      "files.folderNamePrompt": "Folder name:",
+      "files.fileNamePrompt": "File name:",
+      "files.newFolderName": "New Folder",
+      "files.newFileName": "new.txt",
+      "files.newFile": "New file",
+      "files.newFolder": "New folder",
+      "files.imported": "{count} file(s) imported into {path}",
+      "files.importFailed": "Import failed: {error}",
+      "files.restore": "Restore",
+      "files.restoredTo": "Restored to {path}",
+      "files.deletePermanently": "Delete permanently",
+      "files.confirmDelete": "Delete {name} permanently?",
+      "files.renamePrompt": "New name:",
+      "files.sendToDesktop": "Send to Desktop",
+      "files.nItems": "{count} items",
+      "files.movedToTrash": "{name} moved to the Trash",
+      "files.confirmEmptyTrash": "Empty the Trash? Its items will be deleted permanently.",
+      "files.emptyTrash": "Empty trash",
+      "files.import": "Import",
+      "files.properties": "Properties",
+      "files.openFile": "Open file",
+      "files.downloadFailed": "Download failed: {error}",
+      "files.download": "Download {name}",
+      "files.downloadSelection": "Download selection (.zip)",
+      "files.downloadFolder": "Download folder (.zip)",
+      "files.toggleView": "Toggle view",
+      "files.statusItems": "{count} item(s)",
+      "files.statusSelected": "{count} selected",
+      "files.statusCut": "{count} on the clipboard (cut)",
+      "files.statusCopied": "{count} on the clipboard (copy)",
+      "files.removeShortcut": "Remove shortcut",
+      "files.moveToTrash": "Move to Trash",
+      "files.up": "Parent folder",
+
+      "desktop.changeWallpaper": "Change wallpaper…",
+      "desktop.wallpaperPrompt": "Wallpaper URL:",
+
+      "taskbar.unpin": "Unpin from taskbar",
+      "taskbar.pin": "Pin to taskbar",
+      "taskbar.newWindow": "New window",
+      "taskbar.start": "Start",
+      "taskbar.openWindows": "Open windows",
+      "taskbar.desktops": "Desktops (Ctrl+Alt+←/→)",
+      "taskbar.arrange": "Arrange windows",
+      "taskbar.logout": "Sign out",
+      "taskbar.noWindows": "No open windows",
+
+      "window.restore": "Restore",
+      "window.minimize": "Minimize",
+      "window.restoreSize": "Restore size",
+      "window.maximize": "Maximize",
+      "window.close": "Close",
+      "window.minimized": "minimized",
+      "window.onDesktop": "desktop {n}",
+
+      "notify.info": "Info",
+      "notify.success": "Success",
+      "notify.warning": "Warning",
+      "notify.error": "Error",
+      "notify.center": "Notifications",
+      "notify.dnd": "Do not disturb",
+      "notify.empty": "No notifications",
+      "notify.remove": "Remove",
+      "notify.clearAll": "Clear all",
+      "notify.dismiss": "Dismiss",
+
+      "start.search": "Search apps and files...",
+      "start.sentToDesktop": "{name} sent to the Desktop",
+      "start.files": "Files",
+      "start.apps": "Apps",
+
+      "layout.columns": "Columns",
+      "layout.rows": "Rows",
+      "layout.grid": "Grid",
+      "layout.main": "Main + stack",
+      "layout.cascade": "Cascade",
+
+      "notepad.binary": "{name} is a binary file and cannot be edited",
+      "notepad.defaultName": "note.txt",
+      "notepad.placeholder": "Write your notes here...",
+
+      "editor.saveAs": "Save as:",
+      "editor.savedIn": "File saved in {path}",
+      "editor.openFolder": "Open folder",
+      "editor.changesSaved": "Changes saved",
+      "editor.versionRestored": "Version restored",
+      "editor.save": "Save",
+      "editor.new": "New",
+      "editor.history": "History",
+      "editor.saved": "File saved",
+      "editor.changedOutside": "The file was changed outside this editor. Saving now overwrites those changes.",
+      "editor.deletedOutside": "The file was deleted or moved to the Trash. Saving will create a new copy.",
+      "editor.reload": "Reload",
+      "editor.keepMine": "Keep my version",
+      "editor.restore": "Restore",
+      "editor.noRevisions": "No previous versions.",
+
+      "markdown.sample": "# Hello, Markdown!\n\n- Write on the left\n- See the preview on the right\n\n**Yatrz** ❤️",
+      "markdown.defaultName": "document.md",
+
+      "browser.go": "Go",
+
+      "props.name": "Name",
+      "props.mtime": "Modified",
+      "props.mime": "Type",
+      "props.size": "Size",
+      "props.location": "Location",
+      "props.target": "Target",
+      "props.items": "Items",
+      "props.ctime": "Created",
+      "props.deletedFrom": "Deleted from",
+      "props.deletedAt": "Deleted on",
+
+      "images.title": "Images",
+      "images.prev": "Previous (←)",
+      "images.next": "Next (→)",
+      "images.zoomOut": "Zoom out (-)",
+      "images.zoomIn": "Zoom in (+)",
+      "images.fit": "Fit",
+      "images.fitted": "Fitted",
+      "images.notFound": "Image not found",
+      "images.empty": "Open an image from the Files app",
+
+      "term.welcome": "Yatrz Terminal — type 'help' for commands.",
+      "term.help": "Commands (man <command> for details):",
+      "term.empty": "(empty)",
+      "term.error": "Error: {error}",
+      "term.invalidDir": "invalid directory",
+      "term.invalidFile": "invalid file",
+      "term.binary": "(binary file, {size})",
+      "term.usage": "usage: {usage}",
+      "term.movedTo": "moved to {path}",
+      "term.theme": "theme: {theme}",
+      "term.notFound": "Command not found",
+      "term.search": "(reverse-i-search)",
+      "term.noMatch": "(no match)",
+      "term.noManual": "no manual entry for {name}",
+      "term.fromApp": "provided by: {app}",
+      "term.badAccent": "invalid color; use one of: {list}",
+      "term.noApp": "app not found: {name} (launch lists the apps)",
+      "term.noWindow": "no single window with id {id} (see ps)",
+      "term.isDir": "{path}: is a folder",
+      "term.exists": "{path} already exists",
+      "term.badRegex": "invalid regular expression: {pattern}",
+      "term.total": "total",
+      "term.treeCount": "{dirs} folders, {files} files",
+
+      "plugins.namePrompt": "App name:",
+      "plugins.defaultName": "My Plugin",
+      "plugins.namesPrompt": "Name in other languages (optional), e.g. en=My Plugin; pt-BR=Meu Plugin",
+      "plugins.urlPrompt": "URL (iframe)",
+      "plugins.iconPrompt": "Icon (emoji)",
+      "plugins.add": "Add Plugin",
+      "plugins.addManifest": "Install from manifest",
+      "plugins.manifestPrompt": "Paste the manifest JSON, or its URL",
+      "plugins.manifestFailed": "Plugin manifest",
+      "plugins.badManifest": "Invalid manifest: field {field}",
+      "plugins.installed": "Plugin {name} installed",
+      "plugins.reservedId": "\"{id}\" is the id of a built-in app; choose another name",
+
+      "shortcuts.clash": "{combo} is already used by \"{label}\" ({scope})",
+      "shortcuts.title": "Keyboard shortcuts",
+      "shortcuts.reset": "Restore defaults",
+      "shortcuts.press": "Press the keys…",
+      "shortcuts.default": "default",
+
+      "a11y.windowControls": "Window controls",
+      "a11y.taskbar": "Taskbar",
+      "a11y.desktopN": "Desktop {n} ({count} windows)",
+      "a11y.unread": "Notifications ({count} unread)",
+      "a11y.desktop": "Desktop icons",
+
+      "shell.syntax": "syntax error near '{token}'",
+      "shell.unterminated": "unterminated quote",
+      "shell.badSubstitution": "bad substitution: {text}",
+      "shell.notNumber": "number expected: {value}",
+      "shell.badTest": "bad expression: {expr}",
+      "shell.notExecutable": "{name}: not an executable script",
+      "shell.tooDeep": "scripts nested too deeply",
+      "shell.loginScript": "Login script",
+      "shell.exitStatus": "exited with status {status}",
+
+      "cmd.help.usage": "help [command]",
+      "cmd.help.help": "lists the commands, or shows help for one",
+      "cmd.man.usage": "man <command>",
+      "cmd.man.help": "shows a command's usage and description",
+      "cmd.ls.usage": "ls [-l] [path...]",
+      "cmd.ls.help": "lists folders (-l with size and date)",
+      "cmd.cd.usage": "cd [path]",
+      "cmd.cd.help": "changes the current folder (no argument: $HOME)",
+      "cmd.pwd.usage": "pwd",
+      "cmd.pwd.help": "prints the current folder",
+      "cmd.cat.usage": "cat [file...]",
+      "cmd.cat.help": "prints files, or its input",
+      "cmd.echo.usage": "echo [text...]",
+      "cmd.echo.help": "prints the text",
+      "cmd.grep.usage": "grep [-invr] <regex> [file...]",
+      "cmd.grep.help": "lines matching a regular expression",
+      "cmd.touch.usage": "touch <file...>",
+      "cmd.touch.help": "creates an empty file",
+      "cmd.mkdir.usage": "mkdir <folder...>",
+      "cmd.mkdir.help": "creates a folder",
+      "cmd.rm.usage": "rm [-P|--permanent] <path...>",
+      "cmd.rm.help": "moves to the Trash (-P deletes for good)",
+      "cmd.mv.usage": "mv <source...> <folder> | mv <source> <new-name>",
+      "cmd.mv.help": "moves into another folder, or renames",
+      "cmd.env.usage": "env",
+      "cmd.env.help": "lists the variables",
+      "cmd.export.usage": "export NAME=value...",
+      "cmd.export.help": "sets variables (also: NAME=value)",
+      "cmd.theme.usage": "theme light|dark",
+      "cmd.theme.help": "changes the theme",
+      "cmd.wallpaper.usage": "wallpaper [url]",
+      "cmd.wallpaper.help": "shows or changes the wallpaper",
+      "cmd.accent.usage": "accent [color]",
+      "cmd.accent.help": "shows or changes the accent color",
+      "cmd.notify.usage": "notify [-l info|success|warning|error] <text...>",
+      "cmd.notify.help": "sends a notification",
+      "cmd.open.usage": "open <path...>",
+      "cmd.open.help": "opens with the associated app",
+      "cmd.launch.usage": "launch [app] [file]",
+      "cmd.launch.help": "opens an app (no argument: lists the apps)",
+      "cmd.ps.usage": "ps",
+      "cmd.ps.help": "lists the open windows",
+      "cmd.kill.usage": "kill <id...>",
+      "cmd.kill.help": "closes windows by their ps id",
+      "cmd.whoami.usage": "whoami",
+      "cmd.whoami.help": "prints the user",
+      "cmd.date.usage": "date",
+      "cmd.date.help": "prints the date and time",
+      "cmd.clear.usage": "clear",
+      "cmd.clear.help": "clears the screen",
+      "cmd.edit.usage": "edit <file>",
+      "cmd.edit.help": "opens in Notepad (created if missing)",
+      "cmd.browse.usage": "browse <url>",
+      "cmd.browse.help": "opens a page in the Browser",
+      "cmd.sh.usage": "sh <file> [args...]",
+      "cmd.sh.help": "runs a script in a child shell",
+      "cmd.source.usage": "source <file> [args...]",
+      "cmd.source.help": "runs a script in this shell (also: .)",
+      "cmd.dot.usage": ". <file> [args...]",
+      "cmd.test.usage": "test <expression>",
+      "cmd.test.help": "evaluates -e/-f/-d/-s/-n/-z, = != and -eq -ne -lt -le -gt -ge",
+      "cmd.bracket.usage": "[ <expression> ]",
+      "cmd.true.usage": "true",
+      "cmd.true.help": "exits with status 0",
+      "cmd.false.usage": "false",
+      "cmd.false.help": "exits with status 1",
+      "cmd.exit.usage": "exit [n]",
+      "cmd.exit.help": "leaves the script or closes the Terminal",
+      "cmd.find.usage": "find [folder] [-name pattern] [-iname pattern] [-type f|d]",
+      "cmd.find.help": "finds files and folders by name",
+      "cmd.head.usage": "head [-n N] [file...]",
+      "cmd.head.help": "first lines of files or the input",
+      "cmd.tail.usage": "tail [-n N] [file...]",
+      "cmd.tail.help": "last lines of files or the input",
+      "cmd.wc.usage": "wc [-lwc] [file...]",
+      "cmd.wc.help": "counts lines, words and bytes",
+      "cmd.tree.usage": "tree [folder]",
+      "cmd.tree.help": "shows a folder as a tree",
+      "cmd.du.usage": "du [-s] [path...]",
+      "cmd.du.help": "folder sizes",
+      "cmd.cp.usage": "cp [-r] <source...> <target>",
+      "cmd.cp.help": "copies files (folders with -r)",
+    },
+  },
 };
+const DEFAULT_LOCALE = "pt-BR";
+
+// Active locale. The root component sets it on every render from the profile's choice,
+// so plain functions (VFS errors, formatDate) can translate too.
+let currentLocale = DEFAULT_LOCALE;
+function setLocale(lang) {
+  currentLocale = LOCALES[lang] ? lang : DEFAULT_LOCALE;
+}
+
+// Best match for the browser's languages, e.g. "en-GB" -> "en"
+function detectLocale() {
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  for (const l of langs.filter(Boolean)) {
+    if (LOCALES[l]) return l;
+    const base = Object.keys(LOCALES).find((k) => k.split("-")[0] === l.split("-")[0]);
+    if (base) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Message for `key` in the active locale (falling back to pt-BR, then to the key);
+// `{name}` placeholders are filled from `vars`
+function t(key, vars) {
+  const msg = LOCALES[currentLocale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  return vars ? msg.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : msg;
+}
+
+// Plugin-provided text: a plain string or a map like { "pt-BR": "...", en: "..." }
+function localized(value) {
+  if (!value || typeof value !== "object") return value;
+  const lang = Object.keys(value).find((k) => k === currentLocale) || Object.keys(value).find((k) => k.split("-")[0] === currentLocale.split("-")[0]);
+  return value[lang || DEFAULT_LOCALE] ?? Object.values(value)[0];
+}
+
+/*********************************
+ * VFS — Virtual File System
+ *********************************/
+// Desktop shortcuts created for new trees (and once for trees that predate shortcuts);
+// names are catalog keys, resolved in the profile's language when the tree is seeded
+const DEFAULT_SHORTCUTS = [
+  { name: "app.files", target: { kind: "app", id: "files" } },
+  { name: "app.notepad", target: { kind: "app", id: "notepad" } },
+  { name: "app.terminal", target: { kind: "app", id: "terminal" } },
+  { name: "app.browser", target: { kind: "app", id: "browser" } },
+  { name: "app.settings", target: { kind: "app", id: "settings" } },
+  { name: "fs.trash", target: { kind: "path", path: "/Trash" } },
+];
+
+// Tree layout version, see upgradeFs
+const FS_VERSION = 2;
+
+// Tree for a new profile, in the active locale
+function defaultFs() {
+  return {
+    name: "/",
+    type: "dir",
+    version: FS_VERSION,
+    children: [
+      { name: "Desktop", type: "dir", children: DEFAULT_SHORTCUTS.map((s) => ({ name: t(s.name), type: "link", target: s.target })) },
+      { name: "Documents", type: "dir", children: [] },
+      { name: "Downloads", type: "dir", children: [] },
+      { name: "Apps", type: "dir", children: [] },
+      { name: "Trash", type: "dir", children: [] },
+      { name: "README.txt", type: "file", content: t("fs.readme") },
+    ],
+  };
+}
 
+// Deep copy of plain data; Blobs (binary file contents) are immutable and shared
 function clone(obj) {
-  return JSON.parse(JSON.stringify(obj));
+  if (obj instanceof Blob) return obj;
+  if (Array.isArray(obj)) return obj.map(clone);
+  if (obj && typeof obj === "object") {
+    const out = {};
+    for (const k of Object.keys(obj)) out[k] = clone(obj[k]);
+    return out;
+  }
+  return obj;
 }
 
 function findNode(path, root) {
@@ -139,35 +1146,291 @@ function ensureUniqueName(dir, base) {
   return name;
 }
 
+// File metadata: ctime/mtime (ms epoch), size (bytes, files only) and mime
+const MIME_TYPES = {
+  txt: "text/plain",
+  log: "text/plain",
+  md: "text/markdown",
+  markdown: "text/markdown",
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  json: "application/json",
+  csv: "text/csv",
+  xml: "application/xml",
+  sh: "application/x-sh",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  bmp: "image/bmp",
+  ico: "image/x-icon",
+  pdf: "application/pdf",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  mp4: "video/mp4",
+  zip: "application/zip",
+};
+
+function mimeFor(name) {
+  const dot = name.lastIndexOf(".");
+  const ext = dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+  return MIME_TYPES[ext] || (ext ? "application/octet-stream" : "text/plain");
+}
+
+function contentSize(content) {
+  if (content instanceof Blob) return content.size;
+  return new TextEncoder().encode(content || "").length;
+}
+
+// Binary files keep their bytes in `data` (a Blob) instead of `content`
+function isBinaryNode(node) {
+  return node?.type === "file" && node.data instanceof Blob;
+}
+
+function isTextMime(mime) {
+  return /^text\/|\/(json|xml|x-sh|javascript)$|\+xml$/.test(mime || "");
+}
+
+function nodeBlob(node) {
+  return isBinaryNode(node) ? node.data : new Blob([node.content || ""], { type: nodeMime(node) });
+}
+
+// Metadata with fallbacks for nodes created before it was tracked
+function nodeMime(node) {
+  if (node.type === "link") return "application/x-yatrz-shortcut";
+  return node.type === "dir" ? "inode/directory" : node.mime || mimeFor(node.name);
+}
+
+function nodeSize(node) {
+  if (node.type === "dir") return node.children.reduce((sum, c) => sum + nodeSize(c), 0);
+  if (node.type === "link") return 0;
+  return node.size ?? contentSize(isBinaryNode(node) ? node.data : node.content);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDate(ts) {
+  return ts ? new Date(ts).toLocaleString(currentLocale) : "—";
+}
+
+function parentPath(path) {
+  const parts = normPath(path).split("/").filter(Boolean);
+  parts.pop();
+  return "/" + parts.join("/");
+}
+
+// True when `path` is `dir` itself or inside it
+function isWithin(path, dir) {
+  return path === dir || path.startsWith(dir === "/" ? "/" : dir + "/");
+}
+
+// Where `path` ends up when `from` is renamed/moved to `to` (null if unaffected)
+function rebasePath(path, from, to) {
+  if (!isWithin(path, from)) return null;
+  return to + path.slice(from.length);
+}
+
+function touch(node, now = Date.now()) {
+  if (node) node.mtime = now;
+}
+
+// Returns the name actually used (it may get a " (n)" suffix).
+// `content` is a string, or a Blob for binary files; for type "link" (shortcut)
+// it is the target: { kind: "app", id } or { kind: "path", path }.
+// Names are path segments: not empty and without "/"
+function checkName(name) {
+  if (!name || name.includes("/") || name === "." || name === "..") throw new Error(t("fs.invalidName", { name }));
+}
+
 function fsCreate(root, cwd, name, type = "file", content = "") {
+  checkName(name);
+  checkNotTrash(cwd);
   const dir = findNode(cwd, root);
-  if (!dir || dir.type !== "dir") throw new Error("Invalid directory: " + cwd);
-  const n = { name: ensureUniqueName(dir, name), type };
-  if (type === "file") n.content = content;
+  if (!dir || dir.type !== "dir") throw new Error(t("fs.invalidDir", { path: cwd }));
+  const now = Date.now();
+  const n = { name: ensureUniqueName(dir, name), type, ctime: now, mtime: now };
+  if (type === "file") {
+    if (content instanceof Blob) n.data = content;
+    else n.content = content;
+    n.size = contentSize(content);
+    n.mime = (content instanceof Blob && content.type) || mimeFor(n.name);
+  }
   if (type === "dir") n.children = [];
+  if (type === "link") {
+    if (isSelfLink(content, childPath(normPath(cwd), n.name))) throw new Error(t("shortcut.selfTarget"));
+    n.target = content;
+  }
   dir.children.push(n);
+  touch(dir, now);
+  return n.name;
+}
+
+const isSelfLink = (target, path) => target?.kind === "path" && normPath(target.path) === normPath(path);
+
+// What a path shortcut opens, or null when it is broken: its target is missing, is the
+// shortcut itself or is another shortcut (so links never chain into a loop)
+function linkTarget(link, root) {
+  const node = link.target?.kind === "path" ? findNode(link.target.path, root) : null;
+  return node && node.type !== "link" ? node : null;
+}
+
+// Shortcuts pointing at a renamed/moved path follow it
+function retargetLinks(root, from, to) {
+  const walk = (node) => {
+    for (const c of node.children) {
+      if (c.type === "dir") walk(c);
+      else if (c.type === "link" && c.target?.kind === "path") {
+        const next = rebasePath(c.target.path, from, to);
+        if (next) c.target = { ...c.target, path: next };
+      }
+    }
+  };
+  walk(root);
+}
+
+// Each write keeps the previous content as a revision (oldest first, bounded)
+const MAX_REVISIONS = 20;
+
+function fsWrite(root, path, content) {
+  const node = findNode(path, root);
+  if (!node || node.type !== "file") throw new Error(t("fs.notFile", { path }));
+  if (content instanceof Blob) {
+    delete node.content;
+    node.data = content;
+    node.size = content.size;
+    touch(node);
+    return;
+  }
+  if (node.content !== content && !isBinaryNode(node)) {
+    const rev = { ts: node.mtime || node.ctime || Date.now(), content: node.content || "" };
+    node.revisions = [...(node.revisions || []), rev].slice(-MAX_REVISIONS);
+  }
+  delete node.data;
+  node.content = content;
+  node.size = contentSize(content);
+  touch(node);
 }
 
 function fsDelete(root, path) {
-  const parts = normPath(path).split("/").filter(Boolean);
-  const name = parts.pop();
-  const parentPath = "/" + parts.join("/");
-  const parent = findNode(parentPath, root);
-  if (!parent || parent.type !== "dir") throw new Error("Invalid path");
+  const name = normPath(path).split("/").pop();
+  const parent = findNode(parentPath(path), root);
+  if (!parent || parent.type !== "dir") throw new Error(t("fs.invalidPath"));
   const idx = parent.children.findIndex((c) => c.name === name);
   if (idx >= 0) parent.children.splice(idx, 1);
+  touch(parent);
+}
+
+// Recycle bin: deleted nodes keep `trash: { from, deletedAt }` so they can be restored
+const TRASH_PATH = "/Trash";
+
+function isInTrash(path) {
+  return normPath(path).startsWith(TRASH_PATH + "/");
+}
+
+// Trees created before the recycle bin existed get their system folders on load
+function ensureSystemDirs(root) {
+  if (!root.children.some((c) => c.name === "Trash" && c.type === "dir")) {
+    root.children.push({ name: "Trash", type: "dir", children: [], ctime: Date.now(), mtime: Date.now() });
+  }
+  return root;
+}
+
+// Brings a loaded tree up to FS_VERSION
+function upgradeFs(root) {
+  ensureSystemDirs(root);
+  if ((root.version || 1) < 2) {
+    // v2: the Desktop's hard-coded pinned apps became shortcut nodes
+    if (!findNode("/Desktop", root)) fsCreate(root, "/", "Desktop", "dir");
+    for (const s of DEFAULT_SHORTCUTS) fsCreate(root, "/Desktop", t(s.name), "link", s.target);
+  }
+  root.version = FS_VERSION;
+  return root;
+}
+
+function fsTrash(root, path) {
+  const p = normPath(path);
+  if (p === "/" || p === TRASH_PATH) throw new Error(t("fs.cannotDelete", { path: p }));
+  if (isInTrash(p)) return fsDelete(root, p);
+  const node = findNode(p, root);
+  if (!node) throw new Error(t("fs.notFound", { path: p }));
+  ensureSystemDirs(root);
+  moveNode(root, p, TRASH_PATH);
+  node.trash = { from: p, deletedAt: Date.now() };
+}
+
+function mkdirs(root, path) {
+  let dirPath = "/";
+  for (const part of normPath(path).split("/").filter(Boolean)) {
+    const next = childPath(dirPath, part);
+    const node = findNode(next, root);
+    if (!node) fsCreate(root, dirPath, part, "dir");
+    else if (node.type !== "dir") throw new Error(t("fs.notDir", { path: next }));
+    dirPath = next;
+  }
+}
+
+// Moves /Trash/<name> back to where it was deleted from (recreating missing folders)
+function fsRestore(root, name) {
+  const node = findNode(`${TRASH_PATH}/${name}`, root);
+  if (!node || !node.trash) throw new Error(t("fs.notInTrash", { name }));
+  const from = node.trash.from;
+  const dstDir = parentPath(from);
+  mkdirs(root, dstDir);
+  const moved = childPath(dstDir, fsMove(root, `${TRASH_PATH}/${name}`, dstDir));
+  const dst = findNode(dstDir, root);
+  node.name = ensureUniqueName({ children: dst.children.filter((c) => c !== node) }, from.split("/").pop());
+  delete node.trash;
+  const restored = childPath(dstDir, node.name);
+  if (restored !== moved) retargetLinks(root, moved, restored);
+  return restored;
+}
+
+function fsEmptyTrash(root) {
+  const trash = findNode(TRASH_PATH, root);
+  if (!trash) return;
+  trash.children = [];
+  touch(trash);
 }
 
 function fsRename(root, path, newName) {
   const node = findNode(path, root);
-  if (!node) throw new Error("Not found");
+  if (!node) throw new Error(t("fs.notFound", { path }));
+  checkName(newName);
+  // Records are stored by path, so two siblings with one name would collapse into one
+  if (findNode(parentPath(path), root).children.some((c) => c !== node && c.name === newName)) throw new Error(t("fs.exists", { name: newName }));
+  if (node.type === "link" && isSelfLink(node.target, childPath(parentPath(path), newName))) throw new Error(t("shortcut.selfTarget"));
+  const now = Date.now();
   node.name = newName;
+  if (node.type === "file") node.mime = mimeFor(newName);
+  touch(node, now);
+  touch(findNode(parentPath(path), root), now);
+  retargetLinks(root, normPath(path), childPath(parentPath(path), newName));
+}
+
+// Only fsTrash puts items in the Trash: anything else there would lack the `trash`
+// record that restoring needs
+function checkNotTrash(dir) {
+  if (normPath(dir) === TRASH_PATH || isInTrash(dir)) throw new Error(t("fs.trashTarget"));
 }
 
 function fsMove(root, src, dstDir) {
+  checkNotTrash(dstDir);
+  return moveNode(root, src, dstDir);
+}
+
+function moveNode(root, src, dstDir) {
   const node = findNode(src, root);
   const dst = findNode(dstDir, root);
-  if (!node || !dst || dst.type !== "dir") throw new Error("Invalid move");
+  if (!node || !dst || dst.type !== "dir") throw new Error(t("fs.invalidMove"));
+  if (isWithin(normPath(dstDir), normPath(src))) throw new Error(t("fs.moveIntoSelf"));
   // remove from parent
   const parts = normPath(src).split("/").filter(Boolean);
   const name = parts.pop();
@@ -177,64 +1440,1804 @@ function fsMove(root, src, dstDir) {
   // add to new dir (ensure unique)
   node.name = ensureUniqueName(dst, node.name);
   dst.children.push(node);
+  const now = Date.now();
+  touch(node, now);
+  touch(parent, now);
+  touch(dst, now);
+  if (!isInTrash(childPath(normPath(dstDir), node.name))) delete node.trash; // dragged out of /Trash
+  retargetLinks(root, normPath(src), childPath(normPath(dstDir), node.name));
+  return node.name;
+}
+
+// Recursive copy into `dstDir`, named `name` or like the source (a " (n)" suffix when the
+// name is taken, so copying into the same folder duplicates). Copies get fresh timestamps
+// and no revision history.
+function fsCopy(root, src, dstDir, name = null) {
+  const node = findNode(src, root);
+  const dst = findNode(dstDir, root);
+  if (!node || normPath(src) === "/") throw new Error(t("fs.notFound", { path: src }));
+  if (!dst || dst.type !== "dir") throw new Error(t("fs.invalidDir", { path: dstDir }));
+  checkNotTrash(dstDir);
+  if (isWithin(normPath(dstDir), normPath(src))) throw new Error(t("fs.copyIntoSelf"));
+  const now = Date.now();
+  const copy = clone(node);
+  const reset = (n) => {
+    n.ctime = now;
+    n.mtime = now;
+    delete n.revisions;
+    delete n.trash;
+    if (n.type === "dir") n.children.forEach(reset);
+  };
+  reset(copy);
+  copy.name = ensureUniqueName(dst, name ?? node.name);
+  if (copy.type === "file") copy.mime = mimeFor(copy.name);
+  dst.children.push(copy);
+  touch(dst, now);
+  return copy.name;
 }
 
 function listDir(path, root) {
   const dir = findNode(path, root);
-  if (!dir || dir.type !== "dir") throw new Error("Invalid directory");
+  if (!dir || dir.type !== "dir") throw new Error(t("fs.invalidDir", { path }));
   return dir.children.map((c) => ({ name: c.name, type: c.type }));
 }
 
+/*********************************
+ * VFS Persistence — storage adapters
+ *********************************/
+// The tree is persisted as one record per node: { path, parent, order, node }
+// where `node` is the node without its children. Only records that changed
+// since the last successful save are written.
+function childPath(dir, name) {
+  return dir === "/" ? "/" + name : dir + "/" + name;
+}
+
+function flattenFs(root) {
+  const out = [];
+  const walk = (node, path, parent, order) => {
+    const { children, ...rest } = node;
+    out.push({ path, parent, order, node: rest });
+    if (node.type === "dir") node.children.forEach((c, i) => walk(c, childPath(path, c.name), path, i));
+  };
+  walk(root, "/", null, 0);
+  return out;
+}
+
+function unflattenFs(records) {
+  const depth = (p) => (p === "/" ? 0 : p.split("/").length - 1);
+  const byPath = new Map();
+  const sorted = [...records].sort((a, b) => depth(a.path) - depth(b.path) || a.order - b.order);
+  for (const r of sorted) {
+    const node = { ...r.node };
+    if (node.type === "dir") node.children = [];
+    byPath.set(r.path, node);
+    const parent = r.parent != null && byPath.get(r.parent);
+    if (parent) parent.children.push(node);
+  }
+  return byPath.get("/") || null;
+}
+
+// Blobs are compared by identity (they are never mutated, only replaced)
+const blobTags = new WeakMap();
+let blobSeq = 0;
+function blobTag(blob) {
+  if (!blobTags.has(blob)) blobTags.set(blob, `blob:${++blobSeq}:${blob.size}`);
+  return blobTags.get(blob);
+}
+
+function recordSignature(r) {
+  return JSON.stringify([r.parent, r.order, r.node], (k, v) => (v instanceof Blob ? blobTag(v) : v));
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function dataUrlToBlob(url) {
+  const [head, b64] = url.split(",");
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: head.slice(5).split(";")[0] });
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+// IndexedDB adapter: object store "nodes" keyed by [namespace, path]
+function createIndexedDBAdapter(dbName = LS_PREFIX) {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("nodes", { keyPath: ["ns", "path"] });
+      dbPromise = idbRequest(req);
+    }
+    return dbPromise;
+  };
+  const range = (ns) => IDBKeyRange.bound([ns, ""], [ns, "\uffff"]);
+  return {
+    kind: "indexeddb",
+    async readAll(ns) {
+      const tx = (await db()).transaction("nodes", "readonly");
+      const rows = await idbRequest(tx.objectStore("nodes").getAll(range(ns)));
+      return rows.map(({ ns: _ns, ...r }) => r);
+    },
+    async write(ns, puts, dels) {
+      const tx = (await db()).transaction("nodes", "readwrite");
+      const store = tx.objectStore("nodes");
+      for (const p of dels) store.delete([ns, p]);
+      for (const r of puts) store.put({ ns, ...r });
+      await idbDone(tx);
+    },
+    async clear(ns) {
+      const tx = (await db()).transaction("nodes", "readwrite");
+      tx.objectStore("nodes").delete(range(ns));
+      await idbDone(tx);
+    },
+  };
+}
+
+// localStorage adapter (fallback when IndexedDB is unavailable): one key per node.
+// Unlike `storage.set`, write errors propagate so the caller can report them.
+// Binary data has to be inlined as a data URL here.
+function createLocalStorageAdapter() {
+  const prefix = (ns) => lsKey(`node:${ns}:`);
+  const keys = (ns) => Object.keys(localStorage).filter((k) => k.startsWith(prefix(ns)));
+  const decode = (r) => (r.node.data?.$blob ? { ...r, node: { ...r.node, data: dataUrlToBlob(r.node.data.$blob) } } : r);
+  const encode = async (r) =>
+    r.node.data instanceof Blob ? { ...r, node: { ...r.node, data: { $blob: await blobToDataUrl(r.node.data) } } } : r;
+  return {
+    kind: "localstorage",
+    async readAll(ns) {
+      return keys(ns).map((k) => decode(JSON.parse(localStorage.getItem(k))));
+    },
+    async write(ns, puts, dels) {
+      const encoded = await Promise.all(puts.map(encode));
+      for (const p of dels) localStorage.removeItem(prefix(ns) + p);
+      for (const r of encoded) localStorage.setItem(prefix(ns) + r.path, JSON.stringify(r));
+    },
+    async clear(ns) {
+      keys(ns).forEach((k) => localStorage.removeItem(k));
+    },
+  };
+}
+
+// Wraps an adapter with change tracking; saves are queued so diffs never interleave.
+function createVfsStore(adapter, ns) {
+  let saved = new Map(); // path -> signature of what is on disk
+  let queue = Promise.resolve();
+  return {
+    kind: adapter.kind,
+    async load() {
+      const records = await adapter.readAll(ns);
+      saved = new Map(records.map((r) => [r.path, recordSignature(r)]));
+      return records.length ? unflattenFs(records) : null;
+    },
+    save(root) {
+      const run = async () => {
+        const next = new Map();
+        const puts = [];
+        for (const r of flattenFs(root)) {
+          const sig = recordSignature(r);
+          next.set(r.path, sig);
+          if (saved.get(r.path) !== sig) puts.push(r);
+        }
+        const dels = [...saved.keys()].filter((p) => !next.has(p));
+        if (!puts.length && !dels.length) return;
+        await adapter.write(ns, puts, dels);
+        saved = next;
+      };
+      const p = queue.then(run);
+      queue = p.catch(() => {});
+      return p;
+    },
+  };
+}
+
+// Opens a profile's VFS store (IndexedDB, falling back to localStorage).
+async function openVfsStore(ns) {
+  let adapter = null;
+  let store = null;
+  let root = null;
+  if (typeof indexedDB !== "undefined") {
+    try {
+      adapter = createIndexedDBAdapter();
+      store = createVfsStore(adapter, ns);
+      root = await store.load();
+    } catch (e) {
+      console.warn("IndexedDB unavailable, falling back to localStorage", e);
+      store = null;
+    }
+  }
+  if (!store) {
+    adapter = createLocalStorageAdapter();
+    store = createVfsStore(adapter, ns);
+    root = await store.load();
+  }
+  if (!root) root = await adoptSharedVfs(adapter, store);
+  return { store, root };
+}
+
+// The first profile to open its VFS after an upgrade adopts the old shared tree,
+// either from the pre-profile "vfs" namespace or the original `yatrz:vfs` key.
+async function adoptSharedVfs(adapter, store) {
+  let root = await createVfsStore(adapter, "vfs").load().catch(() => null);
+  let release = () => adapter.clear("vfs");
+  if (!root) {
+    root = storage.get("vfs", null);
+    release = async () => storage.remove("vfs");
+  }
+  if (!root) return null;
+  try {
+    await store.save(root);
+    await release();
+  } catch (e) {
+    // Keep the shared copy; the next save retries and reports the error
+    console.warn("VFS migration failed", e);
+  }
+  return root;
+}
+
+/*********************************
+ * File search index
+ *********************************/
+// Inverted index (token -> paths) over file names and text contents. `update`
+// walks the tree but only re-tokenizes nodes whose name/mtime/size changed.
+const SEARCH_MAX_BYTES = 1024 * 1024; // larger text files are indexed by name only
+
+function searchTokens(text) {
+  return (text || "").toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter((t) => t.length > 1);
+}
+
+function createSearchIndex() {
+  const entries = new Map(); // path -> { sig, node, tokens }
+  const tokens = new Map(); // token -> Set(path)
+
+  const unindex = (path) => {
+    const e = entries.get(path);
+    if (!e) return;
+    for (const t of e.tokens) {
+      const set = tokens.get(t);
+      set.delete(path);
+      if (!set.size) tokens.delete(t);
+    }
+    entries.delete(path);
+  };
+
+  const index = (path, node, sig) => {
+    const text = node.type === "file" && !isBinaryNode(node) && nodeSize(node) <= SEARCH_MAX_BYTES ? node.content : "";
+    const own = new Set([...searchTokens(node.name), ...searchTokens(text)]);
+    for (const t of own) {
+      if (!tokens.has(t)) tokens.set(t, new Set());
+      tokens.get(t).add(path);
+    }
+    entries.set(path, { sig, node, tokens: own });
+  };
+
+  return {
+    update(root) {
+      const seen = new Set();
+      const walk = (node, path) => {
+        for (const c of node.children) {
+          const p = childPath(path, c.name);
+          if (p === TRASH_PATH) continue;
+          seen.add(p);
+          const sig = `${c.mtime || 0}:${c.type === "dir" ? c.children.length : nodeSize(c)}`;
+          const e = entries.get(p);
+          if (!e || e.sig !== sig) {
+            unindex(p);
+            index(p, c, sig);
+          } else e.node = c;
+          if (c.type === "dir") walk(c, p);
+        }
+      };
+      walk(root, "/");
+      for (const p of [...entries.keys()]) if (!seen.has(p)) unindex(p);
+    },
+    // Every query word must occur in a token of the file (name or content)
+    search(q, limit = 20) {
+      const query = q.trim().toLowerCase();
+      const words = searchTokens(query);
+      if (!query) return [];
+      let hits = null;
+      for (const w of words) {
+        const matched = new Set();
+        for (const [t, paths] of tokens) if (t.includes(w)) paths.forEach((p) => matched.add(p));
+        hits = hits ? new Set([...hits].filter((p) => matched.has(p))) : matched;
+      }
+      // Whole-query substring of the name (e.g. "readme.t") also matches
+      for (const [p, e] of entries) if (e.node.name.toLowerCase().includes(query)) (hits ||= new Set()).add(p);
+      return [...(hits || [])]
+        .map((path) => {
+          const { node } = entries.get(path);
+          const inName = node.name.toLowerCase().includes(words[0] || query);
+          return { path, node, inName, snippet: searchSnippet(node, words[0] || query) };
+        })
+        .sort((a, b) => b.inName - a.inName || a.path.localeCompare(b.path))
+        .slice(0, limit);
+    },
+  };
+}
+
+// Text around the first match in a file's content: { before, match, after }
+function searchSnippet(node, word, radius = 40) {
+  if (node.type !== "file" || isBinaryNode(node) || !word) return null;
+  const content = node.content || "";
+  const i = content.toLowerCase().indexOf(word);
+  if (i < 0) return null;
+  const start = Math.max(0, i - radius);
+  const end = Math.min(content.length, i + word.length + radius);
+  const flat = (str) => str.replace(/\s+/g, " ");
+  return {
+    before: (start > 0 ? "…" : "") + flat(content.slice(start, i)),
+    match: content.slice(i, i + word.length),
+    after: flat(content.slice(i + word.length, end)) + (end < content.length ? "…" : ""),
+  };
+}
+
+/*********************************
+ * Host file transfer — import, download, zip
+ *********************************/
+// Imports host File objects into a VFS directory; returns the names used.
+// Text files become editable `content`, everything else is kept as a Blob.
+async function importHostFiles(sys, dir, files) {
+  const names = [];
+  for (const file of Array.from(files || [])) {
+    const mime = file.type || mimeFor(file.name);
+    const content = isTextMime(mime) ? await file.text() : new Blob([file], { type: mime });
+    names.push(sys.fsCreate(dir, file.name, "file", content));
+  }
+  return names;
+}
+
+function hasHostFiles(e) {
+  return Array.from(e.dataTransfer?.types || []).includes("Files");
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function nodeBytes(node) {
+  if (isBinaryNode(node)) return new Uint8Array(await node.data.arrayBuffer());
+  return new TextEncoder().encode(node.content || "");
+}
+
+// Downloads a file as-is, or a folder as "<name>.zip" (shortcuts are skipped)
+async function downloadNode(node) {
+  if (node.type === "link") throw new Error(t("fs.noShortcutDownload"));
+  if (node.type === "file") {
+    downloadBlob(nodeBlob(node), node.name);
+    return;
+  }
+  const entries = [];
+  const walk = async (dir, prefix) => {
+    for (const c of dir.children) {
+      const path = prefix + c.name;
+      if (c.type === "dir") {
+        entries.push({ path: path + "/", mtime: c.mtime, dir: true });
+        await walk(c, path + "/");
+      } else if (c.type === "file") {
+        entries.push({ path, mtime: c.mtime, data: await nodeBytes(c) });
+      }
+    }
+  };
+  await walk(node, "");
+  downloadBlob(buildZip(entries), (node.name === "/" ? "yatrz" : node.name) + ".zip");
+}
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(ts) {
+  const d = new Date(ts || Date.now());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// Minimal ZIP writer (stored, no compression, UTF-8 names).
+// entries: [{ path, data?: Uint8Array, mtime?, dir? }] — folder paths end with "/"
+function buildZip(entries) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const e of entries) {
+    const name = enc.encode(e.path);
+    const data = e.data || new Uint8Array(0);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(e.mtime);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local.buffer, name, data);
+
+    const cen = new DataView(new ArrayBuffer(46));
+    cen.setUint32(0, 0x02014b50, true);
+    cen.setUint16(4, 20, true); // version made by
+    cen.setUint16(6, 20, true);
+    cen.setUint16(8, 0x0800, true);
+    cen.setUint16(10, 0, true);
+    cen.setUint16(12, time, true);
+    cen.setUint16(14, date, true);
+    cen.setUint32(16, crc, true);
+    cen.setUint32(20, data.length, true);
+    cen.setUint32(24, data.length, true);
+    cen.setUint16(28, name.length, true);
+    cen.setUint32(38, e.dir ? 0x10 : 0, true); // MS-DOS directory attribute
+    cen.setUint32(42, offset, true);
+    central.push(cen.buffer, name);
+
+    offset += 30 + name.length + data.length;
+  }
+  const centralSize = central.reduce((sum, b) => sum + b.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+}
+
+/*********************************
+ * Shell — Terminal command language
+ *********************************/
+// A script (or command line) is a list of pipelines joined by `;`, newlines, `&&` or `||`.
+// A pipeline's commands are simple ones (words plus `<`, `>` and `>>` redirections) or
+// `if`/`for` blocks. Words keep their quoting, so `$VAR`s expand only when the command
+// runs (after an earlier `cd` or assignment). `#` starts a comment.
+const SHELL_OPS = ["&&", "||", ">>", "|", ";", ">", "<", "\n"];
+const SHELL_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+const SHELL_ASSIGN = /^[A-Za-z_][A-Za-z0-9_]*=/;
+const SHELL_KEYWORDS = ["if", "then", "elif", "else", "fi", "for", "in", "do", "done"];
+
+// Unexpanded text of a word, for messages and keywords
+const wordText = (parts) => parts.map((p) => ("var" in p ? `$${p.var}` : p.text)).join("");
+
+function parseShell(text) {
+  const tokens = []; // { word } | { op }
+  let parts = null; // the word being read: [{ text, quoted } | { var, quoted }]
+  const add = (part) => {
+    parts ??= [];
+    const last = parts[parts.length - 1];
+    if ("text" in part && last && "text" in last && last.quoted === part.quoted) last.text += part.text;
+    else parts.push(part);
+  };
+  const endWord = () => {
+    if (parts) tokens.push({ word: parts });
+    parts = null;
+  };
+  // `$NAME`, `${NAME}`, `$?`, `$#`, `$@`, `$*` or `$0`…`$9` at i; returns the index after it,
+  // or -1 for a lone "$"
+  const readVar = (i, quoted) => {
+    if (/[?#@*0-9]/.test(text[i + 1] || "")) {
+      add({ var: text[i + 1], quoted });
+      return i + 2;
+    }
+    if (text[i + 1] === "{") {
+      const end = text.indexOf("}", i);
+      const name = end < 0 ? "" : text.slice(i + 2, end);
+      if (name.match(SHELL_NAME)?.[0] !== name || !name) throw new Error(t("shell.badSubstitution", { text: text.slice(i, end < 0 ? undefined : end + 1) }));
+      add({ var: name, quoted });
+      return end + 1;
+    }
+    const name = text.slice(i + 1).match(SHELL_NAME)?.[0];
+    if (!name) return -1;
+    add({ var: name, quoted });
+    return i + 1 + name.length;
+  };
+
+  let i = 0;
+  let next;
+  while (i < text.length) {
+    const c = text[i];
+    const op = SHELL_OPS.find((o) => text.startsWith(o, i));
+    if (op) {
+      endWord();
+      tokens.push({ op });
+      i += op.length;
+    } else if (/\s/.test(c)) {
+      endWord();
+      i++;
+    } else if (c === "#" && !parts) {
+      i = text.indexOf("\n", i) < 0 ? text.length : text.indexOf("\n", i);
+    } else if (c === "\\") {
+      if (text[i + 1] !== "\n") add({ text: text[i + 1] ?? "", quoted: true }); // backslash-newline continues the line
+      i += 2;
+    } else if (c === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end < 0) throw new Error(t("shell.unterminated"));
+      add({ text: text.slice(i + 1, end), quoted: true });
+      i = end + 1;
+    } else if (c === '"') {
+      add({ text: "", quoted: true }); // "" is still a word
+      i++;
+      while (text[i] !== '"') {
+        if (i >= text.length) throw new Error(t("shell.unterminated"));
+        if (text[i] === "\\" && i + 1 < text.length && '"\\$`'.includes(text[i + 1])) {
+          add({ text: text[i + 1], quoted: true });
+          i += 2;
+        } else if (text[i] === "$" && (next = readVar(i, true)) > 0) i = next;
+        else add({ text: text[i++], quoted: true });
+      }
+      i++;
+    } else if (c === "$" && (next = readVar(i, false)) > 0) i = next;
+    else add({ text: text[i++], quoted: false });
+  }
+  endWord();
+
+  // Recursive descent into [{ joiner, pipeline: [command] }], where a command is
+  // { words, redirects }, { type: "if", branches: [{ cond, body }], otherwise } or
+  // { type: "for", name, words (null for "$@"), body }
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (tok, ...ops) => !!tok && ops.includes(tok.op);
+  const keyword = (tok) => {
+    const p = tok?.word;
+    return p && p.length === 1 && "text" in p[0] && !p[0].quoted && SHELL_KEYWORDS.includes(p[0].text) ? p[0].text : null;
+  };
+  const syntax = (tok) => new Error(t("shell.syntax", { token: !tok || tok.op === "\n" ? "newline" : tok.op || wordText(tok.word) }));
+  const skipNewlines = () => {
+    while (isOp(peek(), "\n")) pos++;
+  };
+  const expect = (kw) => {
+    if (keyword(peek()) !== kw) throw syntax(peek());
+    pos++;
+  };
+
+  // Commands up to (not including) one of the `stop` keywords, or the end
+  const parseList = (stop) => {
+    const list = [];
+    for (;;) {
+      skipNewlines();
+      if (!peek() || stop.includes(keyword(peek()))) return list;
+      let joiner = ";";
+      for (;;) {
+        list.push({ joiner, pipeline: parsePipeline() });
+        if (!isOp(peek(), "&&", "||")) break;
+        joiner = tokens[pos++].op;
+        skipNewlines();
+      }
+      if (isOp(peek(), ";", "\n")) pos++;
+      else if (peek() && !stop.includes(keyword(peek()))) throw syntax(peek());
+    }
+  };
+
+  const parsePipeline = () => {
+    const pipeline = [parseCommand()];
+    while (isOp(peek(), "|")) {
+      pos++;
+      skipNewlines();
+      pipeline.push(parseCommand());
+    }
+    return pipeline;
+  };
+
+  const parseCommand = () => {
+    const kw = keyword(peek());
+    if (kw === "if") {
+      pos++;
+      const branches = [];
+      for (;;) {
+        const cond = parseList(["then"]);
+        expect("then");
+        branches.push({ cond, body: parseList(["elif", "else", "fi"]) });
+        const end = keyword(peek());
+        if (!end) throw syntax(peek());
+        pos++;
+        if (end === "elif") continue;
+        if (end === "fi") return { type: "if", branches, otherwise: null };
+        const otherwise = parseList(["fi"]);
+        expect("fi");
+        return { type: "if", branches, otherwise };
+      }
+    }
+    if (kw === "for") {
+      pos++;
+      const name = peek()?.word && wordText(peek().word);
+      if (!name || name.match(SHELL_NAME)?.[0] !== name) throw syntax(peek());
+      pos++;
+      let words = null;
+      if (keyword(peek()) === "in") {
+        pos++;
+        words = [];
+        while (peek()?.word) words.push(tokens[pos++].word);
+      }
+      if (isOp(peek(), ";")) pos++;
+      skipNewlines();
+      expect("do");
+      const body = parseList(["done"]);
+      expect("done");
+      return { type: "for", name, words, body };
+    }
+    if (kw) throw syntax(peek());
+    const cmd = { words: [], redirects: [] };
+    for (;;) {
+      const tok = peek();
+      if (tok?.word) {
+        cmd.words.push(tok.word);
+        pos++;
+      } else if (isOp(tok, "<", ">", ">>")) {
+        const target = tokens[++pos];
+        if (!target?.word) throw syntax(target);
+        cmd.redirects.push({ op: tok.op, word: target.word });
+        pos++;
+      } else break;
+    }
+    if (!cmd.words.length && !cmd.redirects.length) throw syntax(peek());
+    return cmd;
+  };
+
+  const list = parseList([]);
+  if (peek()) throw syntax(peek());
+  return list;
+}
+
+// Expands a word's variables and a leading unquoted `~` (the home folder) into one string
+function expandWord(parts, vars) {
+  return parts.map((p, i) => expandPart(p, i, vars)).join("");
+}
+
+function expandPart(p, i, vars) {
+  if ("var" in p) return vars[p.var] ?? "";
+  if (i === 0 && !p.quoted && /^~(\/|$)/.test(p.text)) return normPath(`${vars.HOME}/${p.text.slice(1)}`);
+  return p.text;
+}
+
+// Like expandWord, but unquoted variables split on whitespace into several words (and
+// vanish when empty), as arguments do. A field with an unquoted `*`, `?` or `[` becomes the
+// paths `glob(pattern)` matches, or stays as written when there are none.
+function expandFields(parts, vars, glob = null) {
+  const fields = [];
+  let cur = null; // the field being built, null until something starts it
+  let pattern = ""; // `cur` as a glob pattern: quoted text and variables escaped
+  let wild = false;
+  const add = (text, literal) => {
+    cur = (cur ?? "") + text;
+    pattern += literal ? text.replace(/[*?[\\]/g, "\\$&") : text;
+    if (!literal && /[*?[]/.test(text)) wild = true;
+  };
+  const end = () => {
+    const matches = wild && glob ? glob(pattern) : [];
+    fields.push(...(matches.length ? matches : [cur]));
+    cur = null;
+    pattern = "";
+    wild = false;
+  };
+  parts.forEach((p, i) => {
+    if (!("var" in p) || p.quoted) {
+      add(expandPart(p, i, vars), p.quoted || "var" in p);
+      return;
+    }
+    (vars[p.var] ?? "").split(/\s+/).forEach((piece, k) => {
+      if (k > 0 && cur !== null) end();
+      if (piece) add(piece, true);
+    });
+  });
+  if (cur !== null) end();
+  return fields;
+}
+
+// Glob pattern as a RegExp: `*`, `?` and `[...]` (`[!...]` negates); a backslash makes the
+// next character literal
+function globRegex(pattern, ignoreCase = false) {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const close = c === "[" ? pattern.indexOf("]", i + 2) : -1;
+    if (c === "\\" && i + 1 < pattern.length) re += escape(pattern[++i]);
+    else if (c === "*") re += ".*";
+    else if (c === "?") re += ".";
+    else if (close > 0) {
+      const body = pattern.slice(i + 1, close).replace(/\\/g, "\\\\");
+      re += body[0] === "!" ? `[^${body.slice(1)}]` : `[${body.replace(/^\^/, "\\^")}]`;
+      i = close;
+    } else re += escape(c);
+  }
+  return new RegExp(`^${re}$`, ignoreCase ? "is" : "s");
+}
+
+// Paths matching a glob pattern, sorted; relative patterns give relative paths. Names
+// starting with "." only match a part that starts with "." too.
+function shellGlob(sh, pattern) {
+  let found = [{ shown: pattern.startsWith("/") ? "/" : "", path: pattern.startsWith("/") ? "/" : sh.cwd }];
+  for (const part of pattern.split("/").filter(Boolean)) {
+    const join = (shown, name) => (shown && !shown.endsWith("/") ? `${shown}/${name}` : shown + name);
+    if (part === "." || part === "..") {
+      found = found.map((f) => ({ shown: join(f.shown, part), path: normPath(`${f.path}/${part}`) }));
+      continue;
+    }
+    const re = globRegex(part);
+    const hidden = /^\\?\./.test(part);
+    found = found.flatMap((f) => {
+      const dir = sh.sys.findNode(f.path);
+      if (dir?.type !== "dir") return [];
+      return dir.children
+        .filter((c) => re.test(c.name) && (hidden || !c.name.startsWith(".")))
+        .map((c) => ({ shown: join(f.shown, c.name), path: childPath(f.path, c.name) }));
+    });
+  }
+  return found.filter((f) => f.shown && sh.sys.findNode(f.path)).map((f) => f.shown).sort();
+}
+
+// `test`/`[` expressions: strings (-n -z = !=), integers (-eq -ne -lt -le -gt -ge) and
+// paths (-e -f -d -s), optionally negated with `!`
+function shellTest(args, sh) {
+  if (args[0] === "!") return !shellTest(args.slice(1), sh);
+  if (args.length === 0) return false;
+  if (args.length === 1) return args[0] !== "";
+  if (args.length === 2) {
+    const [op, arg] = args;
+    const node = () => sh.sys.findNode(sh.resolve(arg));
+    if (op === "-n") return arg !== "";
+    if (op === "-z") return arg === "";
+    if (op === "-e") return !!node();
+    if (op === "-f") return node()?.type === "file";
+    if (op === "-d") return node()?.type === "dir";
+    if (op === "-s") return !!node() && nodeSize(node()) > 0;
+  }
+  if (args.length === 3) {
+    const [a, op, b] = args;
+    if (op === "=" || op === "==") return a === b;
+    if (op === "!=") return a !== b;
+    const compare = { "-eq": (x, y) => x === y, "-ne": (x, y) => x !== y, "-lt": (x, y) => x < y, "-le": (x, y) => x <= y, "-gt": (x, y) => x > y, "-ge": (x, y) => x >= y }[op];
+    if (compare) {
+      const bad = [a, b].find((v) => !/^-?\d+$/.test(v));
+      if (bad !== undefined) throw new Error(t("shell.notNumber", { value: bad }));
+      return compare(Number(a), Number(b));
+    }
+  }
+  throw new Error(t("shell.badTest", { expr: args.join(" ") }));
+}
+
+// Text as lines without the final newline, so `cat` shows files as they are
+const textLines = (text) => text.replace(/\n$/, "").split("\n");
+
+function shellFail(io, msg) {
+  io.err(msg);
+  return 1;
+}
+
+// Leading options of a command: `flags` lists the letters it takes (-rn is -r -n), `valued`
+// those followed by a value (-n 5 or -n5); "--" ends them. Returns { opts, rest }, or null
+// for an unknown option or a missing value.
+function shellOptions(args, flags, valued = "") {
+  const opts = {};
+  let i = 0;
+  for (; i < args.length && /^-./.test(args[i]); i++) {
+    const a = args[i];
+    if (a === "--") {
+      i++;
+      break;
+    }
+    for (let k = 1; k < a.length; k++) {
+      if (valued.includes(a[k])) {
+        opts[a[k]] = a.slice(k + 1) || args[++i];
+        if (opts[a[k]] === undefined) return null;
+        break;
+      }
+      if (!flags.includes(a[k])) return null;
+      opts[a[k]] = true;
+    }
+  }
+  return { opts, rest: args.slice(i) };
+}
+
+// Runs `fn` on each operand so one failure does not stop the rest; a thrown error or a
+// non-zero return makes the status 1
+function eachOperand(operands, io, fn) {
+  let status = 0;
+  for (const a of operands) {
+    try {
+      if (fn(a)) status = 1;
+    } catch (e) {
+      status = shellFail(io, t("term.error", { error: e.message }));
+    }
+  }
+  return status;
+}
+
+// What a filter command reads: its file operands, or its input when there are none
+const shellInputs = (paths, io, sh) =>
+  paths.length ? paths.map((p) => ({ name: p, text: sh.readText(sh.resolve(p)) })) : [{ name: null, text: io.stdin }];
+
+// Operand paths joined the way they were typed ("." stays relative)
+const joinPath = (dir, name) => `${dir.replace(/\/$/, "")}/${name}`;
+
+// `node` and everything under it, depth first, as [{ node, path }]
+function walkNodes(node, path) {
+  const out = [{ node, path }];
+  if (node.type === "dir") node.children.forEach((c) => out.push(...walkNodes(c, joinPath(path, c.name))));
+  return out;
+}
+
+// head and tail: -n N (or -N) lines of each file or of the input
+const SHELL_HEAD_LINES = 10;
+const headTail = (pick) => (args, io, sh) => {
+  const parsed = shellOptions(args.map((a) => (/^-\d+$/.test(a) ? `-n${a.slice(1)}` : a)), "", "n");
+  if (!parsed || !/^\d+$/.test(parsed.opts.n ?? "0")) return io.usage();
+  const count = Number(parsed.opts.n ?? SHELL_HEAD_LINES);
+  const inputs = shellInputs(parsed.rest, io, sh);
+  inputs.forEach(({ name, text }, k) => {
+    if (inputs.length > 1) io.out(`${k ? "\n" : ""}==> ${name} <==`);
+    const lines = pick(text ? textLines(text) : [], count);
+    if (lines.length) io.out(lines.join("\n"));
+  });
+};
+
+// Resolves `usage`/`help` of a command table with `text` (t for catalog keys, localized for plugins)
+const resolveCommands = (commands, text) =>
+  Object.fromEntries(Object.entries(commands).map(([name, c]) => [name, { ...c, usage: text(c.usage), help: text(c.help) }]));
+
+// Built-in commands: { usage, help, run(args, io, sh) }, texts as catalog keys. `run` returns
+// the exit status (nothing means 0); `io` has `stdin`, `out(line)`, `write(text)`, `err(line)` and `usage()`,
+// which reports the usage and returns 2. Thrown errors print as "Error: …" with status 1.
+// Apps add commands of the same shape with `commands` in their registry entry, plugins with
+// `plugin.commands` (see pluginCommands).
+const SHELL_COMMANDS = {
+  help: {
+    usage: "cmd.help.usage",
+    help: "cmd.help.help",
+    run: (args, io, sh) => {
+      if (args.length) return SHELL_COMMANDS.man.run(args, io, sh);
+      const cmds = sh.commands();
+      const names = Object.keys(cmds).sort();
+      const width = Math.max(...names.map((n) => n.length));
+      io.out(t("term.help"));
+      names.forEach((n) => io.out(`  ${n.padEnd(width)}  ${cmds[n].help}`));
+    },
+  },
+  man: {
+    usage: "cmd.man.usage",
+    help: "cmd.man.help",
+    run: ([name], io, sh) => {
+      if (!name) return io.usage();
+      const cmd = sh.commands()[name];
+      if (!cmd) return shellFail(io, t("term.noManual", { name }));
+      io.out(`${name} — ${cmd.help}`);
+      io.out(t("term.usage", { usage: cmd.usage }));
+      if (cmd.app) io.out(t("term.fromApp", { app: sh.sys.apps[cmd.app]?.name || cmd.app }));
+    },
+  },
+  ls: {
+    usage: "cmd.ls.usage",
+    help: "cmd.ls.help",
+    // Folders list their contents, files themselves; -l adds type, size and date
+    run: (args, io, sh) => {
+      const parsed = shellOptions(args, "l");
+      if (!parsed) return io.usage();
+      const paths = parsed.rest.length ? parsed.rest : ["."];
+      const label = (n) => (n.type === "dir" ? "[" + n.name + "]" : n.type === "link" ? n.name + "@" : n.name);
+      const show = (nodes) => {
+        if (!nodes.length) return io.out(t("term.empty"));
+        if (!parsed.opts.l) return io.out(nodes.map(label).join("  "));
+        const sizes = nodes.map((n) => formatSize(nodeSize(n)));
+        const width = Math.max(...sizes.map((s) => s.length));
+        nodes.forEach((n, k) => io.out(`${n.type === "dir" ? "d" : n.type === "link" ? "l" : "-"}  ${sizes[k].padStart(width)}  ${formatDate(n.mtime)}  ${label(n)}`));
+      };
+      let status = 0;
+      const files = [];
+      const dirs = [];
+      for (const p of paths) {
+        const node = sh.sys.findNode(sh.resolve(p));
+        if (!node) status = shellFail(io, t("fs.notFound", { path: p }));
+        else if (node.type === "dir") dirs.push({ path: p, node });
+        else files.push({ ...node, name: p });
+      }
+      if (files.length) show(files);
+      dirs.forEach(({ path, node }, k) => {
+        if (paths.length > 1) io.out(`${k || files.length ? "\n" : ""}${path}:`);
+        show(node.children);
+      });
+      return status;
+    },
+  },
+  cd: {
+    usage: "cmd.cd.usage",
+    help: "cmd.cd.help",
+    run: ([path], io, sh) => {
+      const p = path ? sh.resolve(path) : sh.env().HOME;
+      if (sh.sys.findNode(p)?.type !== "dir") return shellFail(io, t("term.invalidDir"));
+      sh.cwd = p;
+    },
+  },
+  pwd: { usage: "cmd.pwd.usage", help: "cmd.pwd.help", run: (args, io, sh) => io.out(sh.cwd) },
+  cat: {
+    usage: "cmd.cat.usage",
+    help: "cmd.cat.help",
+    run: (args, io, sh) => {
+      if (!args.length) {
+        if (io.stdin) io.out(textLines(io.stdin).join("\n"));
+        return 0;
+      }
+      let status = 0;
+      for (const a of args) {
+        const f = sh.sys.findNode(sh.resolve(a));
+        if (f?.type !== "file") status = shellFail(io, t("term.invalidFile"));
+        else if (isBinaryNode(f)) io.out(t("term.binary", { size: formatSize(f.data.size) }));
+        else if (f.content) io.out(textLines(f.content).join("\n"));
+      }
+      return status;
+    },
+  },
+  echo: { usage: "cmd.echo.usage", help: "cmd.echo.help", run: (args, io) => io.out(args.join(" ")) },
+  grep: {
+    usage: "cmd.grep.usage",
+    help: "cmd.grep.help",
+    // Lines matching a regular expression in files (folders too with -r) or the input; -i
+    // ignores case, -v inverts, -n numbers lines. Status 1 when nothing matches, 2 on errors.
+    run: (args, io, sh) => {
+      const parsed = shellOptions(args, "invr");
+      if (!parsed?.rest.length) return io.usage();
+      const { opts, rest: [pattern, ...paths] } = parsed;
+      let re;
+      try {
+        re = new RegExp(pattern, opts.i ? "i" : "");
+      } catch {
+        io.err(t("term.badRegex", { pattern }));
+        return 2;
+      }
+      let failed = false;
+      const inputs = paths.length ? [] : [{ name: null, text: io.stdin }];
+      for (const p of paths) {
+        const node = sh.sys.findNode(sh.resolve(p));
+        if (node?.type === "dir" && opts.r) {
+          walkNodes(node, p).forEach((f) => f.node.type === "file" && !isBinaryNode(f.node) && inputs.push({ name: f.path, text: f.node.content || "" }));
+        } else if (node?.type === "dir") failed = !!shellFail(io, t("term.isDir", { path: p }));
+        else if (node?.type !== "file") failed = !!shellFail(io, t("fs.notFound", { path: p }));
+        else if (!isBinaryNode(node)) inputs.push({ name: p, text: node.content || "" });
+      }
+      const named = paths.length > 1 || !!opts.r;
+      let found = false;
+      for (const { name, text } of inputs) {
+        (text ? textLines(text) : []).forEach((line, k) => {
+          if (re.test(line) === !!opts.v) return;
+          found = true;
+          io.out(`${named ? `${name}:` : ""}${opts.n ? `${k + 1}:` : ""}${line}`);
+        });
+      }
+      return failed ? 2 : found ? 0 : 1;
+    },
+  },
+  find: {
+    usage: "cmd.find.usage",
+    help: "cmd.find.help",
+    // Paths under a folder (default "."), filtered by -name/-iname patterns and -type f|d
+    run: (args, io, sh) => {
+      const start = args[0] && !args[0].startsWith("-") ? args[0] : ".";
+      const tests = [];
+      for (let i = start === args[0] ? 1 : 0; i < args.length; i += 2) {
+        const [op, value] = [args[i], args[i + 1]];
+        if ((op === "-name" || op === "-iname") && value !== undefined) {
+          const re = globRegex(value, op === "-iname");
+          tests.push((n) => re.test(n.name));
+        } else if (op === "-type" && (value === "f" || value === "d")) tests.push((n) => n.type === (value === "f" ? "file" : "dir"));
+        else return io.usage();
+      }
+      const root = sh.sys.findNode(sh.resolve(start));
+      if (!root) return shellFail(io, t("fs.notFound", { path: start }));
+      walkNodes(root, start).forEach(({ node, path }) => tests.every((test) => test(node)) && io.out(path));
+    },
+  },
+  head: { usage: "cmd.head.usage", help: "cmd.head.help", run: headTail((lines, n) => lines.slice(0, n)) },
+  tail: { usage: "cmd.tail.usage", help: "cmd.tail.help", run: headTail((lines, n) => (n ? lines.slice(-n) : [])) },
+  wc: {
+    usage: "cmd.wc.usage",
+    help: "cmd.wc.help",
+    // Lines, words and bytes of each file or the input (and a total); -l, -w, -c pick columns
+    run: (args, io, sh) => {
+      const parsed = shellOptions(args, "lwc");
+      if (!parsed) return io.usage();
+      const picked = ["l", "w", "c"].filter((c) => parsed.opts[c]);
+      const cols = picked.length ? picked : ["l", "w", "c"];
+      const rows = shellInputs(parsed.rest, io, sh).map(({ name, text }) => ({
+        name,
+        l: text ? textLines(text).length : 0,
+        w: text.split(/\s+/).filter(Boolean).length,
+        c: contentSize(text),
+      }));
+      if (rows.length > 1) rows.push({ name: t("term.total"), ...Object.fromEntries(cols.map((c) => [c, rows.reduce((sum, r) => sum + r[c], 0)])) });
+      const width = Math.max(...rows.flatMap((r) => cols.map((c) => String(r[c]).length)));
+      rows.forEach((r) => io.out([...cols.map((c) => String(r[c]).padStart(width)), ...(r.name === null ? [] : [r.name])].join(" ")));
+    },
+  },
+  tree: {
+    usage: "cmd.tree.usage",
+    help: "cmd.tree.help",
+    run: ([path = "."], io, sh) => {
+      const root = sh.sys.findNode(sh.resolve(path));
+      if (root?.type !== "dir") return shellFail(io, t("fs.notDir", { path }));
+      let dirs = 0;
+      let files = 0;
+      const draw = (dir, prefix) =>
+        dir.children.forEach((c, k) => {
+          const last = k === dir.children.length - 1;
+          io.out(`${prefix}${last ? "└── " : "├── "}${c.type === "link" ? c.name + "@" : c.name}`);
+          if (c.type !== "dir") files++;
+          else {
+            dirs++;
+            draw(c, prefix + (last ? "    " : "│   "));
+          }
+        });
+      io.out(path);
+      draw(root, "");
+      io.out(t("term.treeCount", { dirs, files }));
+    },
+  },
+  du: {
+    usage: "cmd.du.usage",
+    help: "cmd.du.help",
+    // Size of each folder, subfolders first; -s only the totals
+    run: (args, io, sh) => {
+      const parsed = shellOptions(args, "s");
+      if (!parsed) return io.usage();
+      let status = 0;
+      const visit = (node, path) => {
+        if (node.type === "dir" && !parsed.opts.s) node.children.forEach((c) => c.type === "dir" && visit(c, joinPath(path, c.name)));
+        io.out(`${formatSize(nodeSize(node))}\t${path}`);
+      };
+      for (const p of parsed.rest.length ? parsed.rest : ["."]) {
+        const node = sh.sys.findNode(sh.resolve(p));
+        if (node) visit(node, p);
+        else status = shellFail(io, t("fs.notFound", { path: p }));
+      }
+      return status;
+    },
+  },
+  touch: {
+    usage: "cmd.touch.usage",
+    help: "cmd.touch.help",
+    run: (paths, io, sh) => {
+      if (!paths.length) return io.usage();
+      const status = eachOperand(paths, io, (path) => {
+        const p = sh.resolve(path);
+        if (!sh.sys.findNode(p)) sh.sys.fsCreate(parentPath(p), p.split("/").pop(), "file", "");
+      });
+      if (!status) io.out("ok");
+      return status;
+    },
+  },
+  mkdir: {
+    usage: "cmd.mkdir.usage",
+    help: "cmd.mkdir.help",
+    run: (paths, io, sh) => {
+      if (!paths.length) return io.usage();
+      const status = eachOperand(paths, io, (path) => {
+        const p = sh.resolve(path);
+        if (sh.sys.findNode(p)) return shellFail(io, t("term.exists", { path }));
+        sh.sys.fsCreate(parentPath(p), p.split("/").pop(), "dir");
+      });
+      if (!status) io.out("ok");
+      return status;
+    },
+  },
+  rm: {
+    usage: "cmd.rm.usage",
+    help: "cmd.rm.help",
+    // Moves to /Trash; -P/--permanent deletes for good
+    run: (args, io, sh) => {
+      const permanent = args.some((a) => a === "-P" || a === "--permanent");
+      const targets = args.filter((a) => !a.startsWith("-"));
+      if (!targets.length) return io.usage();
+      let trashed = false;
+      const status = eachOperand(targets, io, (target) => {
+        const p = sh.resolve(target);
+        if (!sh.sys.findNode(p)) return shellFail(io, t("fs.notFound", { path: target }));
+        trashed ||= !permanent && !isInTrash(p);
+        sh.sys.fsDelete(p, { permanent });
+      });
+      if (!status) io.out(trashed ? t("term.movedTo", { path: TRASH_PATH }) : "ok");
+      return status;
+    },
+  },
+  cp: {
+    usage: "cmd.cp.usage",
+    help: "cmd.cp.help",
+    // Into a folder (beside any item of the same name) or to a new name, overwriting a text
+    // file there; folders need -r
+    run: (args, io, sh) => {
+      const parsed = shellOptions(args, "rR");
+      if (!parsed || parsed.rest.length < 2) return io.usage();
+      const recursive = parsed.opts.r || parsed.opts.R;
+      const sources = parsed.rest.slice(0, -1);
+      const to = parsed.rest[parsed.rest.length - 1];
+      const target = sh.resolve(to);
+      const dst = sh.sys.findNode(target);
+      if (sources.length > 1 && dst?.type !== "dir") return shellFail(io, t("fs.notDir", { path: to }));
+      let status = 0;
+      for (const s of sources) {
+        const src = sh.resolve(s);
+        const node = sh.sys.findNode(src);
+        if (!node) status = shellFail(io, t("fs.notFound", { path: s }));
+        else if (node.type === "dir" && !recursive) status = shellFail(io, t("term.isDir", { path: s }));
+        else if (dst?.type === "dir") sh.sys.fsCopy(src, target);
+        else if (!dst) sh.sys.fsCopy(src, parentPath(target), target.split("/").pop());
+        else if (node.type === "file" && !isBinaryNode(node) && !isBinaryNode(dst)) sh.sys.fsWrite(target, node.content || "");
+        else status = shellFail(io, t("term.exists", { path: to }));
+      }
+      return status;
+    },
+  },
+  mv: {
+    usage: "cmd.mv.usage",
+    help: "cmd.mv.help",
+    // The last operand is the folder the others move into or, like cp, a new name for a
+    // single source
+    run: (args, io, sh) => {
+      if (args.length < 2) return io.usage();
+      const to = args[args.length - 1];
+      const dst = sh.resolve(to);
+      const target = sh.sys.findNode(dst);
+      if (target?.type !== "dir") {
+        if (args.length > 2) return shellFail(io, t("fs.notDir", { path: to }));
+        if (target) return shellFail(io, t("term.exists", { path: to }));
+        const src = sh.resolve(args[0]);
+        if (!sh.sys.findNode(src)) return shellFail(io, t("fs.notFound", { path: args[0] }));
+        const dir = parentPath(dst);
+        const moved = dir === parentPath(src) ? src : childPath(dir, sh.sys.fsMove(src, dir));
+        sh.sys.fsRename(moved, dst.split("/").pop());
+        io.out("ok");
+        return 0;
+      }
+      const status = eachOperand(args.slice(0, -1), io, (src) => {
+        sh.sys.fsMove(sh.resolve(src), dst);
+      });
+      if (!status) io.out("ok");
+      return status;
+    },
+  },
+  env: {
+    usage: "cmd.env.usage",
+    help: "cmd.env.help",
+    run: (args, io, sh) => Object.entries(sh.env()).filter(([k]) => k !== "?").forEach(([k, v]) => io.out(`${k}=${v}`)),
+  },
+  export: {
+    usage: "cmd.export.usage",
+    help: "cmd.export.help",
+    run: (args, io, sh) => {
+      if (!args.length || !args.every((a) => SHELL_ASSIGN.test(a))) return io.usage();
+      for (const a of args) {
+        const eq = a.indexOf("=");
+        sh.vars[a.slice(0, eq)] = a.slice(eq + 1);
+      }
+    },
+  },
+  sh: {
+    usage: "cmd.sh.usage",
+    help: "cmd.sh.help",
+    // In a child shell: variables are copied in, but changes and `cd` stay inside
+    run: ([path, ...args], io, sh) => {
+      if (!path) return io.usage();
+      const text = sh.readText(sh.resolve(path));
+      const child = createShell(sh.sys, { cwd: sh.cwd, print: io.err, clear: sh.clear, depth: sh.depth + 1 });
+      child.vars = { ...sh.vars };
+      return child.source(text, [path, ...args], io.write);
+    },
+  },
+  source: {
+    usage: "cmd.source.usage",
+    help: "cmd.source.help",
+    run: ([path, ...args], io, sh) => (path ? sh.source(sh.readText(sh.resolve(path)), [path, ...args], io.write) : io.usage()),
+  },
+  ".": { usage: "cmd.dot.usage", help: "cmd.source.help", run: (args, io, sh) => SHELL_COMMANDS.source.run(args, io, sh) },
+  test: { usage: "cmd.test.usage", help: "cmd.test.help", run: (args, io, sh) => (shellTest(args, sh) ? 0 : 1) },
+  "[": {
+    usage: "cmd.bracket.usage",
+    help: "cmd.test.help",
+    run: (args, io, sh) => (args[args.length - 1] !== "]" ? io.usage() : shellTest(args.slice(0, -1), sh) ? 0 : 1),
+  },
+  true: { usage: "cmd.true.usage", help: "cmd.true.help", run: () => 0 },
+  false: { usage: "cmd.false.usage", help: "cmd.false.help", run: () => 1 },
+  exit: {
+    usage: "cmd.exit.usage",
+    help: "cmd.exit.help",
+    run: ([code], io, sh) => {
+      if (code !== undefined && !/^\d+$/.test(code)) return io.usage();
+      throw shellExit(code === undefined ? sh.status : Number(code) & 255);
+    },
+  },
+  theme: {
+    usage: "cmd.theme.usage",
+    help: "cmd.theme.help",
+    run: ([mode], io, sh) => {
+      if (!["light", "dark"].includes(mode)) return io.usage();
+      sh.sys.setTheme(mode);
+      io.out(t("term.theme", { theme: mode }));
+    },
+  },
+  wallpaper: {
+    usage: "cmd.wallpaper.usage",
+    help: "cmd.wallpaper.help",
+    run: ([url], io, sh) => (url ? sh.sys.setWallpaper(url) : io.out(sh.sys.wallpaper)),
+  },
+  accent: {
+    usage: "cmd.accent.usage",
+    help: "cmd.accent.help",
+    run: ([color], io, sh) => {
+      if (!color) return io.out(`${sh.sys.accent} (${ACCENTS.join(", ")})`);
+      if (!ACCENTS.includes(color)) return shellFail(io, t("term.badAccent", { list: ACCENTS.join(", ") }));
+      sh.sys.setAccent(color);
+    },
+  },
+  notify: {
+    usage: "cmd.notify.usage",
+    help: "cmd.notify.help",
+    run: (args, io, sh) => {
+      let level = "info";
+      if (args[0] === "-l" || args[0] === "--level") [, level, ...args] = args;
+      if (!NOTIFY_LEVELS[level] || !args.length) return io.usage();
+      sh.sys.notify(args.join(" "), { level });
+    },
+  },
+  open: {
+    usage: "cmd.open.usage",
+    help: "cmd.open.help",
+    // Folders open in Files, files in their associated app, shortcuts at their target
+    run: (args, io, sh) => {
+      if (!args.length) return io.usage();
+      args.forEach((a) => sh.sys.openPath(sh.resolve(a)));
+    },
+  },
+  launch: {
+    usage: "cmd.launch.usage",
+    help: "cmd.launch.help",
+    // By id or name; without arguments lists the apps
+    run: ([name, path], io, sh) => {
+      const apps = Object.values(sh.sys.apps);
+      if (!name) {
+        const width = Math.max(...apps.map((a) => a.id.length));
+        return apps.forEach((a) => io.out(`${a.id.padEnd(width)}  ${a.name}`));
+      }
+      const app = sh.sys.apps[name] || apps.find((a) => a.name.toLowerCase() === name.toLowerCase());
+      if (!app) return shellFail(io, t("term.noApp", { name }));
+      sh.sys.launch(app.id, path ? { path: sh.resolve(path) } : null);
+    },
+  },
+  ps: {
+    usage: "cmd.ps.usage",
+    help: "cmd.ps.help",
+    // One line per window: short id, app, desktop, state and title
+    run: (args, io, sh) => {
+      for (const w of sh.sys.windows) {
+        const state = w.minimized ? "min" : w.maximized ? "max" : "-";
+        io.out(`${w.id.slice(0, 8)}  ${w.appId.padEnd(10)}  ${(w.desktop || 0) + 1}  ${state.padEnd(3)}  ${w.title}`);
+      }
+    },
+  },
+  kill: {
+    usage: "cmd.kill.usage",
+    help: "cmd.kill.help",
+    // Closes windows by id, or by the start of one as `ps` shows it
+    run: (ids, io, sh) => {
+      if (!ids.length) return io.usage();
+      let status = 0;
+      for (const id of ids) {
+        const found = sh.sys.windows.filter((w) => w.id.startsWith(id));
+        if (found.length === 1) sh.sys.closeWindow(found[0].id);
+        else status = shellFail(io, t("term.noWindow", { id }));
+      }
+      return status;
+    },
+  },
+  whoami: { usage: "cmd.whoami.usage", help: "cmd.whoami.help", run: (args, io, sh) => io.out(sh.env().USER) },
+  date: {
+    usage: "cmd.date.usage",
+    help: "cmd.date.help",
+    run: (args, io) => io.out(new Date().toLocaleString(currentLocale, { dateStyle: "full", timeStyle: "long" })),
+  },
+  clear: { usage: "cmd.clear.usage", help: "cmd.clear.help", run: (args, io, sh) => sh.clear() },
+};
+
+// Scripts: ~/.yatrzrc runs in each Terminal as it opens, ~/.yatrz_login once per login
+const SHELL_RC = "/.yatrzrc";
+const SHELL_LOGIN = "/.yatrz_login";
+const SHELL_MAX_DEPTH = 16; // nested `sh`/`source` calls
+
+// `exit` unwinds the running script as an error carrying the status
+const shellExit = (status) => Object.assign(new Error("exit"), { exitStatus: status });
+
+// A shell session: cwd, variables and the last exit status persist between lines.
+// `print` gets what reaches the screen (the last command's output and every error);
+// `exit` is called when `exit` is typed at the prompt. `sh.sys` may be swapped for a
+// newer context between runs.
+function createShell(sys, { cwd = "/", print, clear = () => {}, exit = () => {}, depth = 0 }) {
+  const sh = {
+    sys,
+    cwd: normPath(cwd),
+    status: 0,
+    vars: {},
+    args: ["yatrz"], // $0 and the positional parameters
+    depth,
+    print,
+    clear,
+    resolve: (p) => normPath(p.startsWith("/") ? p : `${sh.cwd}/${p}`),
+    readText: (path) => {
+      const node = sh.sys.findNode(path);
+      if (node?.type !== "file" || isBinaryNode(node)) throw new Error(t("term.invalidFile"));
+      return node.content || "";
+    },
+  };
+  // $HOME, $USER, $PWD, $? and the positional parameters are always current
+  sh.env = () => ({
+    HOME: "/",
+    USER: sh.sys.currentUser?.username || "user",
+    ...sh.vars,
+    ...Object.fromEntries(sh.args.map((a, i) => [i, a])),
+    "#": String(sh.args.length - 1),
+    "@": sh.args.slice(1).join(" "),
+    "*": sh.args.slice(1).join(" "),
+    PWD: sh.cwd,
+    "?": String(sh.status),
+  });
+  // Built-ins win over app and plugin commands of the same name
+  sh.commands = () => ({ ...sh.sys.shellCommands?.(), ...resolveCommands(SHELL_COMMANDS, t) });
+
+  const glob = (pattern) => shellGlob(sh, pattern);
+
+  const writeText = (path, text, append) => {
+    const node = sh.sys.findNode(path);
+    if (!node) return sh.sys.fsCreate(parentPath(path), path.split("/").pop(), "file", text);
+    if (node.type !== "file" || (append && isBinaryNode(node))) throw new Error(t("fs.notFile", { path }));
+    sh.sys.fsWrite(path, append ? (node.content || "") + text : text);
+  };
+
+  // Runs one command; returns its exit status
+  const exec = ([name, ...args], io) => {
+    // NAME=value alone sets a shell variable
+    if (SHELL_ASSIGN.test(name) && args.every((a) => SHELL_ASSIGN.test(a))) {
+      args = [name, ...args];
+      name = "export";
+    }
+    const cmd = sh.commands()[name];
+    if (!cmd && name.includes("/")) {
+      // A path runs as a script when it is a .sh file or starts with #!
+      const node = sh.sys.findNode(sh.resolve(name));
+      if (!node) {
+        io.err(t("fs.notFound", { path: name }));
+        return 127;
+      }
+      if (node.type !== "file" || !(name.endsWith(".sh") || node.content?.startsWith("#!"))) {
+        io.err(t("shell.notExecutable", { name }));
+        return 126;
+      }
+      return SHELL_COMMANDS.sh.run([name, ...args], io, sh);
+    }
+    if (!cmd) {
+      io.err(`${name}: ${t("term.notFound")}`);
+      return 127;
+    }
+    io.usage = () => {
+      io.err(t("term.usage", { usage: cmd.usage }));
+      return 2;
+    };
+    const status = cmd.run(args, io, sh);
+    return typeof status === "number" ? status : 0;
+  };
+
+  // Each command reads the previous one's output; the last one's goes to `out` unless
+  // redirected. Errors always go to the screen.
+  const runPipeline = (pipeline, out) => {
+    let input = "";
+    let status = 0;
+    pipeline.forEach((cmd, k) => {
+      let stdout = "";
+      const write = (s) => {
+        stdout += s;
+      };
+      const io = { stdin: input, out: (s) => write(`${s}\n`), write, err: sh.print };
+      try {
+        if (cmd.type) status = runBlock(cmd, write);
+        else {
+          const vars = sh.env();
+          let to = null;
+          for (const r of cmd.redirects) {
+            const path = sh.resolve(expandWord(r.word, vars));
+            if (r.op === "<") io.stdin = sh.readText(path);
+            else to = { path, append: r.op === ">>" };
+          }
+          const argv = cmd.words.flatMap((w) => expandFields(w, vars, glob));
+          status = argv.length ? exec(argv, io) : 0;
+          if (to) {
+            writeText(to.path, stdout, to.append);
+            stdout = "";
+          }
+        }
+      } catch (e) {
+        if ("exitStatus" in e) throw e;
+        sh.print(t("term.error", { error: e.message }));
+        status = 1;
+      }
+      if (k < pipeline.length - 1) input = stdout;
+      else if (stdout) out(stdout);
+    });
+    return status;
+  };
+
+  const runList = (list, out) => {
+    for (const { joiner, pipeline } of list) {
+      if ((joiner === "&&" && sh.status !== 0) || (joiner === "||" && sh.status === 0)) continue;
+      sh.status = runPipeline(pipeline, out);
+    }
+    return sh.status;
+  };
+
+  const runBlock = (block, out) => {
+    if (block.type === "if") {
+      const branch = block.branches.find((b) => runList(b.cond, out) === 0);
+      if (branch) return runList(branch.body, out);
+      return block.otherwise ? runList(block.otherwise, out) : 0;
+    }
+    const items = block.words ? block.words.flatMap((w) => expandFields(w, sh.env(), glob)) : sh.args.slice(1);
+    let status = 0;
+    for (const item of items) {
+      sh.vars[block.name] = item;
+      status = runList(block.body, out);
+    }
+    return status;
+  };
+
+  // Parses and runs shell text; `exit` propagates to the caller
+  const runText = (text, out) => {
+    let list;
+    try {
+      list = parseShell(text);
+    } catch (e) {
+      sh.print(e.message);
+      return (sh.status = 2);
+    }
+    return runList(list, out);
+  };
+  const toScreen = (s) => sh.print(s.replace(/\n$/, ""));
+
+  // Runs a line typed at the prompt; returns the exit status of the last command that ran
+  sh.run = (line) => {
+    try {
+      return runText(line, toScreen);
+    } catch (e) {
+      if (!("exitStatus" in e)) throw e;
+      sh.status = e.exitStatus;
+      exit(e.exitStatus);
+      return sh.status;
+    }
+  };
+
+  // Runs a script in this shell with its own positional parameters (`args[0]` is its
+  // name); `exit` ends just the script
+  sh.source = (text, args = [], out = toScreen) => {
+    if (sh.depth >= SHELL_MAX_DEPTH) throw new Error(t("shell.tooDeep"));
+    const saved = sh.args;
+    sh.args = args.length ? args : saved;
+    sh.depth++;
+    try {
+      return runText(text, out);
+    } catch (e) {
+      if (!("exitStatus" in e)) throw e;
+      return (sh.status = e.exitStatus);
+    } finally {
+      sh.args = saved;
+      sh.depth--;
+    }
+  };
+  return sh;
+}
+
+// Runs ~/.yatrz_login after login; its output, if any, and failures arrive as a notification
+function runLoginScript(sys) {
+  const node = sys.findNode(SHELL_LOGIN);
+  if (node?.type !== "file" || isBinaryNode(node)) return;
+  const lines = [];
+  const sh = createShell(sys, { print: (s) => lines.push(s) });
+  let status;
+  try {
+    status = sh.source(node.content || "", [SHELL_LOGIN]);
+  } catch (e) {
+    lines.push(t("term.error", { error: e.message }));
+    status = 1;
+  }
+  if (lines.length || status) {
+    sys.notify(lines.join("\n") || t("shell.exitStatus", { status }), { title: t("shell.loginScript"), level: status ? "error" : "info" });
+  }
+}
+
+// Tab completion of the word ending at `caret`: command names in command position,
+// VFS paths elsewhere. Several candidates complete to their common prefix and are
+// returned as `options` to be listed.
+function shellComplete(sh, line, caret) {
+  // Start of the word: the last unquoted, unescaped separator before the caret
+  let start = 0;
+  let open = "";
+  for (let i = 0; i < caret; i++) {
+    const c = line[i];
+    if (open) open = c === open ? "" : open;
+    else if (c === "\\") i++;
+    else if (c === '"' || c === "'") open = c;
+    else if (/[\s|;&<>]/.test(c)) start = i + 1;
+  }
+  const raw = line.slice(start, caret);
+  const quote = /^["']/.test(raw) ? raw[0] : "";
+  const word = quote ? raw.slice(1) : raw.replace(/\\(.)/g, "$1");
+  let candidates; // [{ text, label, dir }]
+  if (!word.includes("/") && /(^|[|;&])\s*$/.test(line.slice(0, start))) {
+    candidates = Object.keys(sh.commands()).sort().filter((c) => c.startsWith(word)).map((c) => ({ text: c, label: c }));
+  } else {
+    const cut = word.lastIndexOf("/") + 1;
+    const dirPart = word.slice(0, cut);
+    const dir = sh.sys.findNode(sh.resolve(expandWord([{ text: dirPart || ".", quoted: !!quote }], sh.env())));
+    candidates = (dir?.type === "dir" ? dir.children : [])
+      .filter((c) => c.name.startsWith(word.slice(cut)))
+      .map((c) => ({ text: dirPart + c.name, label: c.type === "dir" ? `${c.name}/` : c.name, dir: c.type === "dir" }));
+  }
+  if (!candidates.length) return { line, caret, options: [] };
+  let text = candidates[0].text;
+  for (const c of candidates) while (!c.text.startsWith(text)) text = text.slice(0, -1);
+  const single = candidates.length === 1;
+  let insert = quote + (quote ? text : text.replace(/[\s|;&<>'"\\$]/g, "\\$&"));
+  if (single) insert += candidates[0].dir ? "/" : `${quote} `;
+  return {
+    line: line.slice(0, start) + insert + line.slice(caret),
+    caret: start + insert.length,
+    options: single ? [] : candidates.map((c) => c.label),
+  };
+}
+
 /*********************************
  * App Registry & Types
  *********************************/
 const builtinApps = {
   notepad: {
     id: "notepad",
-    name: "Bloco de Notas",
+    name: "app.notepad",
     icon: "📝",
     entry: NotepadApp,
     accepts: [".txt", ".log", ".md"],
+    shortcuts: [{ id: "notepad.save", label: "shortcut.save", keys: "Ctrl+S" }],
+    commands: {
+      edit: {
+        usage: "cmd.edit.usage",
+        help: "cmd.edit.help",
+        run: ([path], io, sh) => {
+          if (!path) return io.usage();
+          const p = sh.resolve(path);
+          if (!sh.sys.findNode(p)) sh.sys.fsCreate(parentPath(p), p.split("/").pop(), "file", "");
+          sh.sys.launch("notepad", { path: p }, p.split("/").pop());
+        },
+      },
+    },
+    contextMenu: {
+      desktop: (ctx, sys) => [{ label: `📝 ${t("menu.newNote")}`, onSelect: () => sys.launch("notepad") }],
+    },
   },
   markdown: {
     id: "markdown",
-    name: "Markdown Editor",
+    name: "app.markdown",
     icon: "📘",
     entry: MarkdownApp,
     accepts: [".md", ".markdown"],
+    shortcuts: [{ id: "markdown.save", label: "shortcut.save", keys: "Ctrl+S" }],
   },
   browser: {
     id: "browser",
-    name: "Navegador",
+    name: "app.browser",
     icon: "🌐",
     entry: BrowserApp,
+    commands: {
+      browse: {
+        usage: "cmd.browse.usage",
+        help: "cmd.browse.help",
+        run: ([url], io, sh) => (url ? sh.sys.launch("browser", { url: /^https?:\/\//i.test(url) ? url : `https://${url}` }) : io.usage()),
+      },
+    },
   },
   calc: {
     id: "calc",
-    name: "Calculadora",
+    name: "app.calc",
     icon: "🧮",
     entry: CalculatorApp,
   },
   terminal: {
     id: "terminal",
-    name: "Terminal",
+    name: "app.terminal",
     icon: ">_",
     entry: TerminalApp,
+    contextMenu: {
+      desktop: (ctx, sys) => [{ label: `⌨️ ${t("menu.openInTerminal")}`, onSelect: () => sys.launch("terminal", { path: ctx.path }) }],
+      file: (ctx, sys) =>
+        ctx.node.type === "dir" ? [{ label: `⌨️ ${t("menu.openInTerminal")}`, onSelect: () => sys.launch("terminal", { path: ctx.path }) }] : [],
+    },
   },
   files: {
     id: "files",
-    name: "Arquivos",
+    name: "app.files",
     icon: "📁",
     entry: FilesApp,
+    shortcuts: [
+      { id: "files.copy", label: "shortcut.copy", keys: "Ctrl+C" },
+      { id: "files.cut", label: "shortcut.cut", keys: "Ctrl+X" },
+      { id: "files.paste", label: "shortcut.paste", keys: "Ctrl+V" },
+      { id: "files.selectAll", label: "shortcut.selectAll", keys: "Ctrl+A" },
+      { id: "files.delete", label: "shortcut.delete", keys: "Delete" },
+      { id: "files.rename", label: "shortcut.rename", keys: "F2" },
+    ],
   },
   settings: {
     id: "settings",
-    name: "Configurações",
+    name: "app.settings",
     icon: "⚙️",
     entry: SettingsApp,
   },
+  images: {
+    id: "images",
+    name: "app.images",
+    icon: "🖼️",
+    entry: ImageViewerApp,
+    accepts: [".png", ".jpg", ".jpeg", ".gif", ".webp", ".svg", ".bmp", ".ico"],
+  },
 };
 
+// App that opens a file, by extension (`accepts`); Notepad is the fallback
+function appForFile(name, apps = builtinApps) {
+  const lower = name.toLowerCase();
+  const app = Object.values(apps).find((a) => a.accepts?.some((ext) => lower.endsWith(ext)));
+  return app ? app.id : "notepad";
+}
+
+// Context menu entries a plugin declares: [{ label, scope: "file" | "desktop" | "taskbar", accepts? }].
+// Picking one opens the plugin, which receives { path } or { appId } as its payload.
+// Labels, like plugin names, may be localized maps (see localized).
+function pluginContextMenu(plugin) {
+  const entries = plugin.contextMenu || [];
+  const label = (m) => `${plugin.icon || "🧩"} ${localized(m.label)}`;
+  return {
+    file: (ctx, sys) =>
+      entries
+        .filter((m) => m.scope === "file" && (!m.accepts || m.accepts.some((ext) => ctx.path.toLowerCase().endsWith(ext))))
+        .map((m) => ({ label: label(m), onSelect: () => sys.launch(plugin.id, { path: ctx.path }) })),
+    desktop: (ctx, sys) =>
+      entries.filter((m) => m.scope === "desktop").map((m) => ({ label: label(m), onSelect: () => sys.launch(plugin.id, { path: ctx.path }) })),
+    taskbar: (ctx, sys) =>
+      entries.filter((m) => m.scope === "taskbar").map((m) => ({ label: label(m), onSelect: () => sys.launch(plugin.id, { appId: ctx.win.appId }) })),
+  };
+}
+
+// Terminal commands a plugin declares: [{ name, usage?, help? }] (texts may be localized maps).
+// Running one opens the plugin, which receives { args, cwd } as its payload.
+function pluginCommands(plugin) {
+  const commands = Object.fromEntries(
+    (plugin.commands || []).map((c) => [
+      c.name,
+      {
+        usage: c.usage || c.name,
+        help: c.help || plugin.name,
+        run: (args, io, sh) => sh.sys.launch(plugin.id, { args, cwd: sh.cwd }),
+      },
+    ])
+  );
+  return resolveCommands(commands, localized);
+}
+
+const PLUGIN_MENU_SCOPES = ["file", "desktop", "taskbar"];
+// A plugin must not take over a built-in app's id (the registry is keyed by id)
+const isBuiltinAppId = (id) => Object.values(builtinApps).some((a) => a.id === id);
+const PLUGIN_COMMAND_NAME = /^[A-Za-z0-9_][\w.-]*$/; // a plain word the shell can type
+
+// A plugin manifest (JSON): { id?, name, url, icon?, contextMenu?, commands? } with the shapes above;
+// `url` may be relative to `base`, where the manifest came from. Returns the plugin to
+// store, or throws naming the first field that is wrong.
+function parsePluginManifest(json, base = location.href) {
+  const bad = (field) => new Error(t("plugins.badManifest", { field }));
+  let m;
+  try {
+    m = JSON.parse(json);
+  } catch {
+    throw bad("JSON");
+  }
+  // Texts are strings or localized maps of strings
+  const isText = (v) =>
+    (typeof v === "string" && v.trim() !== "") ||
+    (!!v && typeof v === "object" && !Array.isArray(v) && Object.keys(v).length > 0 && Object.values(v).every((x) => typeof x === "string"));
+  const list = (v, field, check) => {
+    if (v === undefined) return undefined;
+    if (!Array.isArray(v)) throw bad(field);
+    v.forEach((item, i) => {
+      if (!item || typeof item !== "object" || !check(item)) throw bad(`${field}[${i}]`);
+    });
+    return v;
+  };
+  if (!m || typeof m !== "object" || Array.isArray(m)) throw bad("manifest");
+  if (!isText(m.name)) throw bad("name");
+  if (m.icon !== undefined && typeof m.icon !== "string") throw bad("icon");
+  let url;
+  try {
+    url = new URL(m.url, base);
+  } catch {
+    throw bad("url");
+  }
+  if (typeof m.url !== "string" || !/^https?:$/.test(url.protocol)) throw bad("url");
+  const id = String(m.id ?? (typeof m.name === "string" ? m.name : Object.values(m.name)[0])).toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  if (!id.replace(/-/g, "")) throw bad("id");
+  if (isBuiltinAppId(id)) throw new Error(t("plugins.reservedId", { id }));
+  const contextMenu = list(
+    m.contextMenu,
+    "contextMenu",
+    (e) => isText(e.label) && PLUGIN_MENU_SCOPES.includes(e.scope) && (e.accepts === undefined || (Array.isArray(e.accepts) && e.accepts.every((x) => typeof x === "string")))
+  );
+  const commands = list(
+    m.commands,
+    "commands",
+    (c) => typeof c.name === "string" && PLUGIN_COMMAND_NAME.test(c.name) && [c.usage, c.help].every((x) => x === undefined || isText(x))
+  );
+  return { id, name: m.name, icon: m.icon || "🧩", url: url.href, contextMenu, commands };
+}
+
+// Whether the Image Viewer opens a file of this name
+const isImageName = (name) => builtinApps.images.accepts.some((ext) => name.toLowerCase().endsWith(ext));
+
+// `ctx` ({ apps, root }) lets shortcuts show their target's icon
+function fileIcon(node, ctx = {}) {
+  if (node.type === "link") {
+    const t = node.target || {};
+    if (t.kind === "app") return ctx.apps?.[t.id]?.icon || "🔗";
+    const target = ctx.root && linkTarget(node, ctx.root);
+    if (t.path === TRASH_PATH) return target?.children.length ? "🗑️" : "🗑";
+    return target ? fileIcon(target, ctx) : "🔗";
+  }
+  if (node.type === "dir") return "📁";
+  if (isImageName(node.name)) return "🖼️";
+  return isBinaryNode(node) ? "📦" : "📄";
+}
+
 /*********************************
  * Root Component
  *********************************/
@@ -244,47 +3247,149 @@ export default function YatrzSystem() {
   const [profiles, setProfiles] = useState(() => storage.get("profiles", []));
   const [currentUser, setCurrentUser] = useState(() => storage.get("currentUser", null));
 
-  // Theme & personalization
-  const [theme, setTheme] = useState(() => storage.get("theme", "dark"));
-  const [accent, setAccent] = useState(() => storage.get("accent", "cyan"));
-  const [wallpaper, setWallpaper] = useState(() => storage.get("wallpaper", defaultWallpaper));
-  const [density, setDensity] = useState(() => storage.get("density", "cozy"));
+  // Theme & personalization (per profile; the old global values seed new profiles)
+  const [theme, setTheme] = useStoredState(userKey(currentUser, "theme"), () => storage.get("theme", "dark"));
+  const [accent, setAccent] = useStoredState(userKey(currentUser, "accent"), () => storage.get("accent", "cyan"));
+  const [wallpaper, setWallpaper] = useStoredState(userKey(currentUser, "wallpaper"), () => storage.get("wallpaper", defaultWallpaper));
+  const [density, setDensity] = useStoredState(userKey(currentUser, "density"), () => storage.get("density", "cozy"));
+  // Accessibility: high contrast, and reduced motion ("auto" follows the system setting)
+  const [highContrast, setHighContrast] = useStoredState(userKey(currentUser, "highContrast"), false);
+  const [motion, setMotion] = useStoredState(userKey(currentUser, "motion"), "auto");
+  const systemReducedMotion = useMediaQuery("(prefers-reduced-motion: reduce)");
+  const reduceMotion = motion === "reduce" || (motion === "auto" && systemReducedMotion);
+  // Language (per profile; the last choice also seeds the login screen and new profiles)
+  const [language, setLanguage] = useStoredState(userKey(currentUser, "language"), () => storage.get("language", detectLocale()));
+  setLocale(language);
 
-  // VFS state
-  const [fsRoot, setFsRoot] = useState(() => storage.get("vfs", DEFAULT_FS));
+  // VFS state (loaded asynchronously from the profile's VFS store after login)
+  const [fsRoot, setFsRoot] = useState(null);
+  const vfsStore = useRef(null);
+  const storageFailing = useRef(false);
+  const searchIndex = useRef(createSearchIndex());
+  // Latest tree, updated synchronously so several operations in one handler compose
+  const fsRef = useRef(fsRoot);
+  fsRef.current = fsRoot;
 
-  // App registry (builtins + plugins)
-  const [plugins, setPlugins] = useState(() => storage.get("plugins", []));
+  // App registry (builtins + per-profile plugins)
+  const [plugins, setPlugins] = useStoredState(userKey(currentUser, "plugins"), () => storage.get("plugins", []));
   const appRegistry = useMemo(() => {
-    const base = { ...builtinApps };
+    const base = Object.fromEntries(
+      Object.values(builtinApps).map((a) => [
+        a.id,
+        {
+          ...a,
+          name: t(a.name),
+          shortcuts: a.shortcuts?.map((s) => ({ ...s, label: t(s.label) })),
+          commands: a.commands && resolveCommands(a.commands, t),
+        },
+      ])
+    );
     for (const p of plugins) {
+      if (isBuiltinAppId(p.id)) continue; // saved before built-in ids were reserved
       base[p.id] = {
         id: p.id,
-        name: p.name,
+        name: localized(p.name),
         icon: p.icon || "🧩",
         entry: makePluginApp(p),
+        contextMenu: pluginContextMenu(p),
+        commands: pluginCommands(p),
         isPlugin: true,
       };
     }
     return base;
-  }, [plugins]);
+  }, [plugins, language]);
 
   // Windows & taskbar
-  const [windows, setWindows] = useState([]); // {id, appId, title, state, z, pos, size, payload}
+  const [windows, setWindows] = useState([]); // {id, appId, title, state, z, pos, size, payload, appState}
   const [zCounter, setZCounter] = useState(1);
+  // Session restore (per profile, opt-out in Settings)
+  const [restoreSession, setRestoreSession] = useStoredState(userKey(currentUser, "restoreSession"), true);
+  const sessionOwner = useRef(null); // profile whose session `windows` holds once restored
+  const pendingLoginScript = useRef(null); // profile that just logged in; not set by a page reload
+  // Virtual desktops: each window has a `desktop` index; only the active one is shown
+  const [activeDesktop, setActiveDesktop] = useStoredState(userKey(currentUser, "activeDesktop"), 0);
+  // Keyboard shortcuts: per-profile overrides of the default bindings ({ id: combo })
+  const [keyBindings, setKeyBindings] = useStoredState(userKey(currentUser, "keybindings"), {});
+  const shortcutHandlers = useRef(new Set()); // { id, winId, run } registered by open apps
+  const [switcher, setSwitcher] = useState(null); // Alt+Tab overlay: { ids, index }
+  // Mobile layout: full-screen windows and a task switcher ("auto" follows the screen size)
+  const [layoutMode, setLayoutMode] = useStoredState(userKey(currentUser, "layoutMode"), "auto");
+  const smallScreen = useMediaQuery(MOBILE_QUERY);
+  const mobile = layoutMode === "mobile" || (layoutMode === "auto" && smallScreen);
+  const [tasksOpen, setTasksOpen] = useState(false);
+  const [pinnedApps, setPinnedApps] = useStoredState(userKey(currentUser, "pinnedApps"), []);
+  const [clipboard, setClipboard] = useState(null);
   const [startOpen, setStartOpen] = useState(false);
   const [search, setSearch] = useState("");
-  const [notifications, setNotifications] = useState([]);
+  // Notifications: toasts on screen plus a per-profile history for the notification center
+  const [toasts, setToasts] = useState([]);
+  const [notifHistory, setNotifHistory] = useStoredState(userKey(currentUser, "notifications"), []);
+  const [dnd, setDnd] = useStoredState(userKey(currentUser, "dnd"), false);
 
   // Persist
   useEffect(() => storage.set("profiles", profiles), [profiles]);
   useEffect(() => storage.set("currentUser", currentUser), [currentUser]);
-  useEffect(() => storage.set("theme", theme), [theme]);
-  useEffect(() => storage.set("accent", accent), [accent]);
-  useEffect(() => storage.set("wallpaper", wallpaper), [wallpaper]);
-  useEffect(() => storage.set("density", density), [density]);
-  useEffect(() => storage.set("vfs", fsRoot), [fsRoot]);
-  useEffect(() => storage.set("plugins", plugins), [plugins]);
+  useEffect(() => {
+    storage.set("language", language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Load the current profile's VFS, then its saved windows; swapped out on logout/login
+  useEffect(() => {
+    vfsStore.current = null;
+    sessionOwner.current = null;
+    searchIndex.current = createSearchIndex();
+    setFsRoot(null);
+    if (!currentUser) return;
+    let alive = true;
+    const restoreWindows = () => {
+      const saved = storage.get(userKey(currentUser, "restoreSession"), true)
+        ? storage.get(userKey(currentUser, "session"), { windows: [] }).windows
+        : [];
+      const ws = saved.filter((w) => appRegistry[w.appId]).map((w) => ({ ...w, ...clampGeometry(w) }));
+      setWindows(ws);
+      setZCounter(Math.max(1, ...ws.map((w) => w.z)));
+      sessionOwner.current = currentUser.id;
+    };
+    openVfsStore(userKey(currentUser, "vfs"))
+      .then(({ store, root }) => {
+        if (!alive) return;
+        vfsStore.current = store;
+        setFsRoot(upgradeFs(root || defaultFs()));
+        restoreWindows();
+      })
+      .catch((e) => {
+        console.warn("VFS load error", e);
+        if (!alive) return;
+        setFsRoot(defaultFs());
+        restoreWindows();
+      });
+    return () => {
+      alive = false;
+    };
+  }, [currentUser?.id]);
+
+  // Persist the window list once this profile's session has been restored
+  useEffect(() => {
+    if (!currentUser || sessionOwner.current !== currentUser.id) return;
+    if (restoreSession) storage.set(userKey(currentUser, "session"), { windows });
+    else storage.remove(userKey(currentUser, "session"));
+  }, [windows, restoreSession]);
+
+  // Persist the VFS; on failure the tree stays in memory and the next change retries
+  useEffect(() => {
+    if (!fsRoot || !vfsStore.current) return;
+    vfsStore.current.save(fsRoot).then(
+      () => {
+        if (storageFailing.current) notify(t("storage.recovered"), { level: "success", title: t("storage.title") });
+        storageFailing.current = false;
+      },
+      (e) => reportStorageError(e)
+    );
+  }, [fsRoot]);
+
+  // Settings writes that fail (quota) are surfaced too
+  useEffect(() => onStorageError((e) => reportStorageError(e)), []);
 
   // Boot animation
   useEffect(() => {
@@ -292,12 +3397,14 @@ export default function YatrzSystem() {
     return () => clearTimeout(t);
   }, []);
 
-  // Apply theme classes
+  // Apply theme and accessibility classes
   useEffect(() => {
     const root = document.documentElement;
     if (theme === "dark") root.classList.add("dark");
     else root.classList.remove("dark");
-  }, [theme]);
+    root.classList.toggle("yatrz-contrast", highContrast);
+    root.classList.toggle("yatrz-reduce-motion", reduceMotion);
+  }, [theme, highContrast, reduceMotion]);
 
   // Accent CSS var
   useEffect(() => {
@@ -318,13 +3425,15 @@ export default function YatrzSystem() {
     if (!app) return;
     const id = crypto.randomUUID();
     const title = titleOverride || app.name;
-    const pos = { x: 120 + (windows.length % 4) * 40, y: 100 + (windows.length % 4) * 30 };
-    const size = { w: 720, h: 480 };
+    const { pos, size } = clampGeometry({
+      pos: { x: 120 + (windows.length % 4) * 40, y: 100 + (windows.length % 4) * 30 },
+      size: { w: 720, h: 480 },
+    });
     const z = zCounter + 1;
     setZCounter(z);
     setWindows((w) => [
       ...w,
-      { id, appId, title, state: "normal", z, pos, size, payload, minimized: false, maximized: false },
+      { id, appId, title, state: "normal", z, pos, size, payload, minimized: false, maximized: false, desktop: activeDesktop },
     ]);
     setStartOpen(false);
   };
@@ -340,64 +3449,346 @@ export default function YatrzSystem() {
   const restoreWin = (id) => setWindows((w) => w.map((win) => (win.id === id ? { ...win, minimized: false } : win)));
   const toggleMax = (id) =>
     setWindows((w) => w.map((win) => (win.id === id ? { ...win, maximized: !win.maximized } : win)));
+  // `geometry` is { pos, size } plus optional window fields (maximized, restoreSize)
+  const setWinGeometry = (id, geometry) =>
+    setWindows((w) => w.map((win) => (win.id === id ? { ...win, ...geometry, ...clampGeometry(geometry) } : win)));
+
+  const desktopOf = (win) => win.desktop ?? 0;
+  const switchDesktop = (d) => {
+    setActiveDesktop((d + VIRTUAL_DESKTOPS) % VIRTUAL_DESKTOPS);
+    setStartOpen(false);
+  };
+  const topWindow = () =>
+    windows
+      .filter((w) => desktopOf(w) === activeDesktop && !w.minimized)
+      .reduce((top, w) => (!top || w.z > top.z ? w : top), null);
+  const moveWinToDesktop = (id, d) =>
+    setWindows((w) => w.map((win) => (win.id === id ? { ...win, desktop: (d + VIRTUAL_DESKTOPS) % VIRTUAL_DESKTOPS } : win)));
+
+  // Arrange the visible windows of the active desktop; the most recent gets the main slot
+  const applyLayout = (kind) => {
+    const visible = windows
+      .filter((w) => desktopOf(w) === activeDesktop && !w.minimized)
+      .sort((a, b) => b.z - a.z);
+    const rects = tileRects(kind, visible.length, viewportRect());
+    const byId = new Map(visible.map((w, i) => [w.id, rects[i]]));
+    setWindows((ws) =>
+      ws.map((w) => {
+        const r = byId.get(w.id);
+        return r ? { ...w, maximized: false, restoreSize: null, pos: { x: r.x, y: r.y }, size: { w: r.w, h: r.h } } : w;
+      })
+    );
+  };
+
+  // Window switcher: windows of every desktop, most recently focused first
+  const openSwitcher = (dir) => {
+    if (switcher) {
+      const n = switcher.ids.length;
+      return setSwitcher({ ...switcher, index: (switcher.index + dir + n) % n });
+    }
+    const ids = [...windows].sort((a, b) => b.z - a.z).map((w) => w.id);
+    if (!ids.length) return;
+    setSwitcher({ ids, index: (dir + ids.length) % ids.length });
+  };
+  const activateWin = (id) => {
+    const win = windows.find((w) => w.id === id);
+    if (!win) return;
+    if (desktopOf(win) !== activeDesktop) switchDesktop(desktopOf(win));
+    restoreWin(id);
+    focusWin(id);
+  };
+  const commitSwitcher = () => {
+    if (switcher) activateWin(switcher.ids[switcher.index]);
+    setSwitcher(null);
+  };
+
+  const shortcutList = useMemo(
+    () =>
+      [
+        ...SYSTEM_SHORTCUTS.map((s) => ({ ...s, label: t(s.label, s.vars), scope: t("scope.system"), system: true })),
+        ...Object.values(appRegistry).flatMap((a) => (a.shortcuts || []).map((s) => ({ ...s, scope: a.name }))),
+      ].map((s) => ({ ...s, defaultKeys: s.keys, keys: keyBindings[s.id] ?? s.keys })),
+    [appRegistry, keyBindings, language]
+  );
+  const bindingOf = (id) => shortcutList.find((s) => s.id === id)?.keys;
+
+  const withTop = (fn) => () => {
+    const top = topWindow();
+    if (top) fn(top.id);
+  };
+  const moveTopAndFollow = (d) => {
+    const top = topWindow();
+    if (top) moveWinToDesktop(top.id, d);
+    switchDesktop(d);
+  };
+  const systemActions = {
+    "start.toggle": () => setStartOpen((v) => !v),
+    "window.switch": () => openSwitcher(1),
+    "window.switchBack": () => openSwitcher(-1),
+    "window.close": withTop(closeWin),
+    "window.minimize": withTop(minimizeWin),
+    "window.maximize": withTop(toggleMax),
+    "desktop.prev": () => switchDesktop(activeDesktop - 1),
+    "desktop.next": () => switchDesktop(activeDesktop + 1),
+    "desktop.movePrev": () => moveTopAndFollow(activeDesktop - 1),
+    "desktop.moveNext": () => moveTopAndFollow(activeDesktop + 1),
+    ...Object.fromEntries(Array.from({ length: VIRTUAL_DESKTOPS }, (_, d) => [`desktop.${d + 1}`, () => switchDesktop(d)])),
+  };
+
+  // Global key handling: the focused app's shortcuts take precedence over system ones
+  useEffect(() => {
+    if (!currentUser) return;
+    const onKeyDown = (e) => {
+      if (switcher && (e.key === "Escape" || e.key === "Enter")) {
+        e.preventDefault();
+        return e.key === "Enter" ? commitSwitcher() : setSwitcher(null);
+      }
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      const top = topWindow();
+      // App shortcuts need the key press to come from their window (or nowhere in particular)
+      const fromTop = top && (e.target === document.body || e.target.closest?.("[data-win]")?.dataset.win === top.id);
+      const appHit = fromTop && [...shortcutHandlers.current].find((h) => h.winId === top.id && bindingOf(h.id) === combo);
+      if (appHit) {
+        e.preventDefault();
+        return appHit.run();
+      }
+      const sysHit = SYSTEM_SHORTCUTS.find((s) => bindingOf(s.id) === combo);
+      if (sysHit) {
+        e.preventDefault();
+        systemActions[sysHit.id]();
+      }
+    };
+    // The switcher picks its window once the modifiers are released
+    const onKeyUp = (e) => {
+      if (switcher && !e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) commitSwitcher();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+    };
+  });
+
+  // Keep windows reachable when the browser window shrinks
+  useEffect(() => {
+    const onResize = () => setWindows((ws) => ws.map((w) => ({ ...w, ...clampGeometry(w) })));
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
 
   // Auth helpers
   const createProfile = async (username, password) => {
     const exists = profiles.some((p) => p.username === username);
-    if (exists) throw new Error("Usuário já existe");
+    if (exists) throw new Error(t("auth.userExists"));
     const passHash = await sha256(password);
     const p = { id: crypto.randomUUID(), username, passHash, createdAt: Date.now() };
     setProfiles((arr) => [...arr, p]);
+    pendingLoginScript.current = p.id;
     setCurrentUser({ id: p.id, username: p.username });
   };
 
   const login = async (username, password) => {
     const user = profiles.find((p) => p.username === username);
-    if (!user) throw new Error("Usuário não encontrado");
+    if (!user) throw new Error(t("auth.userNotFound"));
     const passHash = await sha256(password);
-    if (passHash !== user.passHash) throw new Error("Senha incorreta");
+    if (passHash !== user.passHash) throw new Error(t("auth.wrongPassword"));
+    pendingLoginScript.current = user.id;
     setCurrentUser({ id: user.id, username: user.username });
   };
 
-  const logout = () => setCurrentUser(null);
+  const logout = () => {
+    setWindows([]);
+    setClipboard(null);
+    setToasts([]);
+    setSwitcher(null);
+    setTasksOpen(false);
+    setStartOpen(false);
+    pendingLoginScript.current = null;
+    setCurrentUser(null);
+  };
 
-  // Notifications
-  const notify = (text) => {
+  // Notifications: notify(text, { level, title, app, actions }).
+  // level: "info" | "success" | "warning" | "error"; app: source app id (set for app windows);
+  // actions: [{ label, path }] opens a path, [{ label, app }] launches an app, [{ label, run }] calls back.
+  // `run` actions only live as long as the page; the others are kept in the history.
+  const dismissToast = (id) => setToasts((ts) => ts.filter((x) => x.id !== id));
+  const notify = (text, { level = "info", title, app, actions = [] } = {}) => {
     const id = crypto.randomUUID();
-    const n = { id, text, ts: Date.now() };
-    setNotifications((ns) => [...ns, n]);
-    setTimeout(() => setNotifications((ns) => ns.filter((x) => x.id !== id)), 4000);
+    const n = { id, text, title, level, app, actions, ts: Date.now(), read: false };
+    setNotifHistory((h) => [n, ...h].slice(0, MAX_NOTIFICATIONS));
+    if (dnd && level !== "error") return; // errors still break through do-not-disturb
+    setToasts((ts) => [...ts, n]);
+    setTimeout(() => dismissToast(id), NOTIFY_TIMEOUT[level] || NOTIFY_TIMEOUT.info);
+  };
+  const runNotifAction = (a) => {
+    try {
+      if (a.run) a.run();
+      else if (a.path) sys.openPath(a.path);
+      else if (a.app) launch(a.app);
+    } catch (e) { notify(e.message, { level: "error" }); }
+  };
+  const togglePin = (appId) => setPinnedApps((p) => (p.includes(appId) ? p.filter((x) => x !== appId) : [...p, appId]));
+
+  // Context menu entries contributed by apps and plugins for a scope ("desktop" | "file" | "taskbar")
+  const menuContributions = (scope, ctx) =>
+    Object.values(appRegistry).flatMap((app) => {
+      try {
+        return app.contextMenu?.[scope]?.(ctx, sys) || [];
+      } catch (e) {
+        console.warn("Context menu of", app.id, e);
+        return [];
+      }
+    });
+
+  // Terminal commands contributed by apps and plugins, tagged with their app id
+  const shellCommands = () =>
+    Object.fromEntries(
+      Object.values(appRegistry).flatMap((app) => Object.entries(app.commands || {}).map(([name, c]) => [name, { ...c, app: app.id }]))
+    );
+
+  // Apps get a `sys` whose notify is tagged with their app id
+  const appSys = (win) => ({ ...sys, notify: (text, opts) => notify(text, { app: win.appId, ...opts }) });
+
+  const reportStorageError = (e) => {
+    console.warn("Storage error", e);
+    if (storageFailing.current) return; // one warning until a save succeeds again
+    storageFailing.current = true;
+    notify(
+      isQuotaError(e)
+        ? t("storage.full")
+        : t("storage.failed"),
+      { level: "error", title: t("storage.title"), actions: isQuotaError(e) ? [{ label: t("storage.openTrash"), path: TRASH_PATH }] : [] }
+    );
+  };
+
+  // File change events: watchers get events for their path, its ancestors and descendants.
+  // { type: "create" | "change" | "rename" | "move" | "delete", path, newPath?, source?, permanent? }
+  const watchers = useRef(new Set());
+  const emitFs = (ev) => {
+    for (const w of [...watchers.current]) {
+      const touches = (p) => p && (isWithin(w.path, p) || isWithin(p, w.path));
+      if (touches(ev.path) || touches(ev.newPath)) w.fn(ev);
+    }
+  };
+
+  // Applies a VFS operation to a copy of the latest tree and commits it
+  const mutateFs = (op) => {
+    const root = clone(fsRef.current);
+    const result = op(root);
+    fsRef.current = root;
+    setFsRoot(root);
+    return result;
   };
 
   // Context (pass to apps)
   const sys = {
     fsRoot,
     setFsRoot,
-    listDir: (p) => listDir(p, fsRoot),
-    findNode: (p) => findNode(p, fsRoot),
-    fsCreate: (...args) => {
-      const root = clone(fsRoot);
-      fsCreate(root, ...args);
-      setFsRoot(root);
-    },
-    fsDelete: (path) => {
-      const root = clone(fsRoot);
-      fsDelete(root, path);
-      setFsRoot(root);
+    listDir: (p) => listDir(p, fsRef.current),
+    findNode: (p) => findNode(p, fsRef.current),
+    fsCreate: (cwd, name, ...rest) => {
+      const created = mutateFs((root) => fsCreate(root, cwd, name, ...rest));
+      emitFs({ type: "create", path: childPath(normPath(cwd), created) });
+      return created;
+    },
+    // `source` (e.g. a window id) lets the writer ignore its own change events
+    fsWrite: (path, content, { source } = {}) => {
+      mutateFs((root) => fsWrite(root, path, content));
+      emitFs({ type: "change", path: normPath(path), source });
+    },
+    // Deletes move to /Trash unless permanent (anything already in /Trash is removed for good)
+    fsDelete: (path, { permanent = false } = {}) => {
+      mutateFs((root) => (permanent ? fsDelete(root, path) : fsTrash(root, path)));
+      emitFs({ type: "delete", path: normPath(path), permanent: permanent || isInTrash(path) });
+    },
+    fsRestore: (name) => {
+      const to = mutateFs((root) => fsRestore(root, name));
+      emitFs({ type: "create", path: to });
+      return to;
+    },
+    fsEmptyTrash: () => {
+      const names = (findNode(TRASH_PATH, fsRef.current)?.children || []).map((c) => c.name);
+      mutateFs((root) => fsEmptyTrash(root));
+      names.forEach((n) => emitFs({ type: "delete", path: childPath(TRASH_PATH, n), permanent: true }));
     },
     fsRename: (path, newName) => {
-      const root = clone(fsRoot);
-      fsRename(root, path, newName);
-      setFsRoot(root);
+      mutateFs((root) => fsRename(root, path, newName));
+      emitFs({ type: "rename", path: normPath(path), newPath: childPath(parentPath(path), newName) });
     },
     fsMove: (src, dst) => {
-      const root = clone(fsRoot);
-      fsMove(root, src, dst);
-      setFsRoot(root);
+      const name = mutateFs((root) => fsMove(root, src, dst));
+      emitFs({ type: "move", path: normPath(src), newPath: childPath(normPath(dst), name) });
+      return name;
+    },
+    fsCopy: (src, dst, newName) => {
+      const name = mutateFs((root) => fsCopy(root, src, dst, newName));
+      emitFs({ type: "create", path: childPath(normPath(dst), name) });
+      return name;
+    },
+    // Shared by Files windows and the Desktop: { mode: "copy" | "cut", paths } or null
+    clipboard,
+    setClipboard,
+    // Subscribes to file change events under `path`; returns an unsubscribe function
+    watch: (path, fn) => {
+      const w = { path: normPath(path), fn };
+      watchers.current.add(w);
+      return () => watchers.current.delete(w);
+    },
+    // Opens a folder in Files, a file with its associated app, or a shortcut's target
+    openPath: (path) => {
+      const p = normPath(path);
+      const node = findNode(p, fsRef.current);
+      if (!node) throw new Error(t("fs.notFound", { path: p }));
+      if (node.type === "link") {
+        const target = node.target || {};
+        if (target.kind === "app") {
+          if (!appRegistry[target.id]) throw new Error(t("shortcut.brokenApp", { id: target.id }));
+          return launch(target.id);
+        }
+        if (!linkTarget(node, fsRef.current)) throw new Error(t("shortcut.brokenPath", { path: target.path }));
+        return sys.openPath(target.path);
+      }
+      if (node.type === "dir") launch("files", { path: p }, node.name);
+      else launch(appForFile(node.name, appRegistry), { path: p }, node.name);
+    },
+    // "Send to Desktop": target is { kind: "app", id } or { kind: "path", path }
+    createShortcut: (target, name) => {
+      mutateFs((root) => mkdirs(root, "/Desktop"));
+      return sys.fsCreate("/Desktop", name, "link", target);
+    },
+    apps: appRegistry,
+    menuContributions,
+    shellCommands,
+    windows,
+    closeWindow: closeWin,
+    searchFiles: (q, limit) => {
+      searchIndex.current.update(fsRef.current);
+      return searchIndex.current.search(q, limit);
     },
     launch,
     notify,
+    notifications: notifHistory,
+    setNotifications: setNotifHistory,
+    dnd,
+    setDnd,
+    runNotifAction,
     currentUser,
+    // Shortcuts: the effective bindings, rebinding (null restores the default) and app handlers
+    shortcuts: shortcutList,
+    setShortcut: (id, combo) =>
+      setKeyBindings((b) => {
+        const next = { ...b };
+        if (combo) next[id] = combo;
+        else delete next[id];
+        return next;
+      }),
+    resetShortcuts: () => setKeyBindings({}),
+    registerShortcut: (handler) => {
+      shortcutHandlers.current.add(handler);
+      return () => shortcutHandlers.current.delete(handler);
+    },
     theme,
     setTheme,
     wallpaper,
@@ -406,10 +3797,30 @@ export default function YatrzSystem() {
     setAccent,
     density,
     setDensity,
+    restoreSession,
+    setRestoreSession,
+    layoutMode,
+    setLayoutMode,
+    language,
+    setLanguage,
+    t,
+    highContrast,
+    setHighContrast,
+    motion,
+    setMotion,
+    mobile,
     plugins,
     setPlugins,
   };
 
+  // ~/.yatrz_login runs once the profile's files have loaded after login() or createProfile()
+  useEffect(() => {
+    if (!fsRoot || !currentUser || sessionOwner.current !== currentUser.id) return;
+    if (pendingLoginScript.current !== currentUser.id) return;
+    pendingLoginScript.current = null;
+    runLoginScript(sys);
+  }, [fsRoot]);
+
   // Boot screen
   if (booting) {
     return (
@@ -428,10 +3839,21 @@ export default function YatrzSystem() {
   // Auth gate (optional): show if no user yet or user logged out
   if (!currentUser) {
     return (
-      <AuthScreen profiles={profiles} onCreate={createProfile} onLogin={login} />
+      <AuthScreen profiles={profiles} onCreate={createProfile} onLogin={login} language={language} onLanguage={setLanguage} />
+    );
+  }
+
+  // Profile is loading its files
+  if (!fsRoot) {
+    return (
+      <div className="w-screen h-screen flex items-center justify-center bg-black text-white/70 text-sm">
+        {t("boot.loadingFiles", { user: currentUser.username })}
+      </div>
     );
   }
 
+  const activeWinId = topWindow()?.id;
+
   return (
     <div
       className={cx(
@@ -450,7 +3872,6 @@ export default function YatrzSystem() {
         {/* Desktop Icons */}
         <Desktop
           apps={appRegistry}
-          onLaunch={launch}
           sys={sys}
         />
 
@@ -461,34 +3882,93 @@ export default function YatrzSystem() {
           search={search}
           setSearch={setSearch}
           apps={appRegistry}
-          windows={windows}
+          windows={windows.filter((w) => desktopOf(w) === activeDesktop)}
           restoreWin={restoreWin}
           minimizeWin={minimizeWin}
           focusWin={focusWin}
           logout={logout}
+          desktops={Array.from({ length: VIRTUAL_DESKTOPS }, (_, d) => windows.filter((w) => desktopOf(w) === d).length)}
+          activeDesktop={activeDesktop}
+          switchDesktop={switchDesktop}
+          applyLayout={applyLayout}
+          mobile={mobile}
+          openTasks={() => setTasksOpen((v) => !v)}
+          closeWin={closeWin}
+          toggleMax={toggleMax}
+          pinned={pinnedApps.filter((id) => appRegistry[id])}
+          togglePin={togglePin}
           sys={sys}
         />
 
         {/* Windows */}
-        {windows.map((win) => (
-          <Window
-            key={win.id}
-            win={win}
-            app={appRegistry[win.appId]}
-            onFocus={() => focusWin(win.id)}
-            onClose={() => closeWin(win.id)}
-            onMinimize={() => minimizeWin(win.id)}
-            onToggleMax={() => toggleMax(win.id)}
-          >
-            <win.app.entry win={win} setWin={(u)=>setWindows(ws=>ws.map(w=>w.id===win.id?{...w,...u}:w))} sys={sys} />
-          </Window>
-        ))}
+        {windows.map((win) => {
+          const app = appRegistry[win.appId];
+          if (!app) return null; // e.g. a plugin removed while open
+          return (
+            <Window
+              key={win.id}
+              win={win}
+              app={app}
+              hidden={desktopOf(win) !== activeDesktop}
+              active={win.id === activeWinId}
+              mobile={mobile}
+              onFocus={() => focusWin(win.id)}
+              onClose={() => closeWin(win.id)}
+              onMinimize={() => minimizeWin(win.id)}
+              onToggleMax={() => toggleMax(win.id)}
+              onGeometry={(g) => setWinGeometry(win.id, g)}
+            >
+              <app.entry win={win} setWin={(u)=>setWindows(ws=>ws.map(w=>w.id===win.id?{...w,...(typeof u === "function" ? u(w) : u)}:w))} sys={appSys(win)} />
+            </Window>
+          );
+        })}
+
+        {tasksOpen && (
+          <TaskSwitcher
+            windows={[...windows].sort((a, b) => b.z - a.z)}
+            apps={appRegistry}
+            onPick={(id) => {
+              setTasksOpen(false);
+              activateWin(id);
+            }}
+            onCloseWin={closeWin}
+            onClose={() => setTasksOpen(false)}
+          />
+        )}
+
+        {switcher && (
+          <WindowSwitcher
+            windows={switcher.ids.map((id) => windows.find((w) => w.id === id)).filter(Boolean)}
+            index={switcher.index}
+            apps={appRegistry}
+            onPick={(id) => {
+              setSwitcher(null);
+              activateWin(id);
+            }}
+          />
+        )}
 
-        {/* Notifications toasts */}
-        <div className="absolute right-3 bottom-16 space-y-2">
-          {notifications.map((n) => (
-            <div key={n.id} className="px-3 py-2 rounded-xl bg-neutral-900/80 text-white text-sm shadow-lg">
-              {n.text}
+        {/* Notifications toasts (announced by screen readers; errors interrupt) */}
+        <div className="absolute right-3 bottom-16 space-y-2 w-80 max-w-[calc(100vw-1.5rem)]" style={{ zIndex: TASKBAR_Z }} role="region" aria-live="polite" aria-label={t("notify.center")}>
+          {toasts.map((n) => (
+            <div key={n.id} role={n.level === "error" ? "alert" : "status"} className={cx("px-3 py-2 rounded-xl bg-neutral-900/85 text-white text-sm shadow-lg border-l-4", NOTIFY_LEVELS[n.level]?.border)}>
+              <div className="flex items-start gap-2">
+                <span title={t(NOTIFY_LEVELS[n.level]?.label)}>{NOTIFY_LEVELS[n.level]?.icon}</span>
+                <div className="flex-1 min-w-0">
+                  {n.title && <div className="font-semibold">{n.title}</div>}
+                  <div className="break-words">{n.text}</div>
+                </div>
+                <button onClick={() => dismissToast(n.id)} className="text-white/60 hover:text-white" aria-label={t("notify.dismiss")} title={t("notify.dismiss")}>✖</button>
+              </div>
+              {n.actions.length > 0 && (
+                <div className="flex gap-2 mt-2">
+                  {n.actions.map((a, i) => (
+                    <button key={i} onClick={() => { dismissToast(n.id); runNotifAction(a); }} className="px-2 py-1 rounded-lg bg-white/15 hover:bg-white/25 text-xs">
+                      {a.label}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -500,7 +3980,7 @@ export default function YatrzSystem() {
 /*********************************
  * Auth Screen
  *********************************/
-function AuthScreen({ profiles, onCreate, onLogin }) {
+function AuthScreen({ profiles, onCreate, onLogin, language, onLanguage }) {
   const [mode, setMode] = useState(profiles.length ? "login" : "create");
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
@@ -522,21 +4002,26 @@ function AuthScreen({ profiles, onCreate, onLogin }) {
       <div className="w-full max-w-md p-6 rounded-2xl bg-white/5 border border-white/10 shadow-2xl">
         <div className="text-center mb-6">
           <div className="text-3xl font-extrabold">Yatrz System</div>
-          <div className="text-neutral-400">{mode === "create" ? "Criar perfil" : "Entrar"}</div>
+          <div className="text-neutral-400">{mode === "create" ? t("auth.createProfile") : t("auth.login")}</div>
         </div>
         <form className="space-y-3" onSubmit={submit}>
-          <input className="w-full px-3 py-2 bg-white/10 rounded-xl outline-none focus:ring-2 ring-[var(--yatrz-accent)]" placeholder="Usuário" value={username} onChange={(e)=>setUsername(e.target.value)} />
-          <input type="password" className="w-full px-3 py-2 bg-white/10 rounded-xl outline-none focus:ring-2 ring-[var(--yatrz-accent)]" placeholder="Senha" value={password} onChange={(e)=>setPassword(e.target.value)} />
+          <input className="w-full px-3 py-2 bg-white/10 rounded-xl outline-none focus:ring-2 ring-[var(--yatrz-accent)]" placeholder={t("auth.username")} value={username} onChange={(e)=>setUsername(e.target.value)} />
+          <input type="password" className="w-full px-3 py-2 bg-white/10 rounded-xl outline-none focus:ring-2 ring-[var(--yatrz-accent)]" placeholder={t("auth.password")} value={password} onChange={(e)=>setPassword(e.target.value)} />
           {error && <div className="text-rose-400 text-sm">{error}</div>}
-          <button className="w-full py-2 rounded-xl bg-[var(--yatrz-accent)] text-black font-semibold">{mode === "create" ? "Criar" : "Entrar"}</button>
+          <button className="w-full py-2 rounded-xl bg-[var(--yatrz-accent)] text-black font-semibold">{mode === "create" ? t("auth.create") : t("auth.login")}</button>
         </form>
         <div className="mt-4 text-center text-sm text-neutral-400">
           {mode === "create" ? (
-            <button className="underline" onClick={()=>setMode("login")}>Já tenho conta</button>
+            <button className="underline" onClick={()=>setMode("login")}>{t("auth.haveAccount")}</button>
           ) : (
-            <button className="underline" onClick={()=>setMode("create")}>Criar nova conta</button>
+            <button className="underline" onClick={()=>setMode("create")}>{t("auth.newAccount")}</button>
           )}
         </div>
+        <div className="mt-4 flex justify-center">
+          <select value={language} onChange={(e) => onLanguage(e.target.value)} className="px-2 py-1 rounded-lg bg-white/10 text-sm text-neutral-300" title={t("settings.language")}>
+            {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id} className="text-black">{l.label}</option>)}
+          </select>
+        </div>
       </div>
     </div>
   );
@@ -545,73 +4030,437 @@ function AuthScreen({ profiles, onCreate, onLogin }) {
 /*********************************
  * Desktop & Taskbar
  *********************************/
-function Desktop({ apps, onLaunch, sys }) {
-  // Show some default icons on Desktop directory
+function Desktop({ apps, sys }) {
+  // Everything in /Desktop: shortcuts, folders and files
   const desktopPath = "/Desktop";
   const desktop = findNode(desktopPath, sys.fsRoot) || { type: "dir", children: [] };
 
-  const pinned = [
-    { appId: "files" },
-    { appId: "notepad" },
-    { appId: "terminal" },
-    { appId: "browser" },
-    { appId: "settings" },
-  ];
+  const [menu, setMenu] = useState(null); // { x, y, items }
+
+  const open = (c) => {
+    try { sys.openPath(childPath(desktopPath, c.name)); } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
+
+  const create = (type) => {
+    const name = prompt(type === "dir" ? t("files.folderNamePrompt") : t("files.fileNamePrompt"), type === "dir" ? t("files.newFolderName") : t("files.newFileName"));
+    if (!name) return;
+    try { sys.fsCreate(desktopPath, name, type, type === "file" ? "" : undefined); } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
+
+  const paste = () => {
+    const { mode, paths } = sys.clipboard;
+    transferPaths(sys, paths, desktopPath, mode === "cut" ? "move" : "copy");
+    if (mode === "cut") sys.setClipboard(null);
+  };
+
+  const backgroundMenu = (p) =>
+    setMenu({
+      ...p,
+      items: withContributions(
+        [
+          { label: t("files.newFile"), onSelect: () => create("file") },
+          { label: t("files.newFolder"), onSelect: () => create("dir") },
+          { label: t("shortcut.paste"), disabled: !sys.clipboard, onSelect: paste },
+          "-",
+          { label: t("desktop.changeWallpaper"), onSelect: () => {
+            const url = prompt(t("desktop.wallpaperPrompt"), sys.wallpaper);
+            if (url) sys.setWallpaper(url);
+          } },
+          { label: t("app.settings"), onSelect: () => sys.launch("settings") },
+        ],
+        sys.menuContributions("desktop", { path: desktopPath })
+      ),
+    });
+  // Long-press on the wallpaper itself (icons handle their own)
+  const bgGestures = usePointerGestures({ onLongPress: backgroundMenu });
+
+  const acceptDrop = (e) => {
+    if (!hasHostFiles(e) && !hasDragPaths(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = hasHostFiles(e) ? "copy" : dropMode(e);
+  };
+
+  // Host files and items dragged from Files land in /Desktop, or in a desktop folder dropped on
+  const onDrop = async (e, dst = desktopPath) => {
+    if (!hasDragPaths(e) && !hasHostFiles(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (hasDragPaths(e)) return transferPaths(sys, dragPaths(e), dst, dropMode(e));
+    try {
+      const names = await importHostFiles(sys, dst, e.dataTransfer.files);
+      if (names.length) sys.notify(t("files.imported", { count: names.length, path: dst }), { level: "success" });
+    } catch (err) { sys.notify(t("files.importFailed", { error: err.message }), { level: "error" }); }
+  };
 
   return (
-    <div className="absolute inset-0 p-3 select-none">
-      <div className="grid grid-cols-4 md:grid-cols-8 lg:grid-cols-12 gap-3 max-w-5xl">
-        {pinned.map((p) => (
-          <DesktopIcon key={p.appId} label={apps[p.appId]?.name} icon={apps[p.appId]?.icon} onOpen={() => onLaunch(p.appId)} />
-        ))}
-        {desktop.children.filter(c=>c.type==="file").map((f) => (
-          <DesktopIcon key={f.name} label={f.name} icon="📄" onOpen={() => onLaunch("notepad", { path: `${desktopPath}/${f.name}` }, f.name)} />
+    <div
+      className="absolute inset-0 p-3 select-none"
+      onDragOver={acceptDrop}
+      onDrop={(e) => onDrop(e)}
+      {...bgGestures}
+      onPointerDown={(e) => !e.target.closest("button") && bgGestures.onPointerDown(e)}
+    >
+      <div
+        className="grid grid-cols-4 md:grid-cols-8 lg:grid-cols-12 gap-3 max-w-5xl"
+        role="group"
+        aria-label={t("a11y.desktop")}
+        onKeyDown={(e) => moveFocus(e, e.currentTarget)}
+      >
+        {desktop.children.map((c) => (
+          <DesktopIcon
+            key={c.name}
+            label={c.name}
+            icon={fileIcon(c, { apps, root: sys.fsRoot })}
+            tapToOpen={sys.mobile}
+            onOpen={() => open(c)}
+            onMenu={(p) => setMenu({ ...p, items: fileMenuItems(sys, childPath(desktopPath, c.name)) })}
+            draggable
+            onDragStart={(e) => setDragPaths(e, [childPath(desktopPath, c.name)])}
+            // Folders on the desktop take drops themselves
+            onDragOver={c.type === "dir" ? (e) => { e.stopPropagation(); acceptDrop(e); } : undefined}
+            onDrop={c.type === "dir" ? (e) => onDrop(e, childPath(desktopPath, c.name)) : undefined}
+          />
         ))}
       </div>
+      {menu && <ContextMenu x={menu.x} y={menu.y} items={menu.items} onClose={() => setMenu(null)} />}
     </div>
   );
 }
 
-function DesktopIcon({ icon, label, onOpen }) {
+// Double-tap/double-click or Enter opens (a single tap in the mobile layout); long-press, right-click
+// or the Menu key shows the menu
+function DesktopIcon({ icon, label, tapToOpen, onOpen, onMenu, ...rest }) {
+  const gestures = usePointerGestures({
+    onTap: tapToOpen ? onOpen : undefined,
+    onDoubleTap: tapToOpen ? undefined : onOpen,
+    onLongPress: onMenu,
+  });
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      onOpen();
+    } else if (isMenuKey(e)) {
+      e.preventDefault();
+      onMenu(menuPoint(e.currentTarget));
+    }
+  };
   return (
     <button
-      onDoubleClick={onOpen}
-      className="flex flex-col items-center gap-1 px-2 py-2 rounded-xl hover:bg-white/20 active:scale-[0.98] transition"
+      {...rest}
+      {...gestures}
+      data-nav
+      onKeyDown={onKeyDown}
+      className="flex flex-col items-center gap-1 px-2 py-2 rounded-xl hover:bg-white/20 active:scale-[0.98] transition [-webkit-touch-callout:none]"
       title={label}
     >
-      <div className="text-3xl drop-shadow">{icon || "📦"}</div>
+      <div className="text-3xl drop-shadow" aria-hidden="true">{icon || "📦"}</div>
       <div className="text-xs text-white/90 bg-black/40 px-2 py-0.5 rounded-lg max-w-[120px] truncate">{label}</div>
     </button>
   );
 }
 
-function Taskbar({ startOpen, setStartOpen, search, setSearch, apps, windows, restoreWin, minimizeWin, focusWin, logout, sys }) {
+// Floating menu at a screen point; items are { label, onSelect, danger?, disabled? },
+// { label, items } for a submenu, or "-" for a separator. Rendered into <body> so
+// blurred/transformed ancestors don't offset it.
+function ContextMenu({ x, y, items, onClose }) {
+  const ref = useRef(null);
+  const close = useRef(onClose);
+  close.current = onClose;
+  const subRef = useRef(null);
+  const [sub, setSub] = useState(null); // index of the open submenu
+  const subByKey = useRef(false);
+  useFocusReturn();
+  useEffect(() => {
+    ref.current?.querySelector(":scope > [role=menuitem]:not(:disabled)")?.focus();
+  }, []);
+  // A submenu opened from the keyboard takes focus
+  useEffect(() => {
+    if (sub !== null && subByKey.current) subRef.current?.querySelector("[role=menuitem]:not(:disabled)")?.focus();
+    subByKey.current = false;
+  }, [sub]);
+  useEffect(() => {
+    const onDown = (e) => !ref.current?.contains(e.target) && close.current();
+    const onKey = (e) => e.key === "Escape" && close.current();
+    window.addEventListener("pointerdown", onDown, true);
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("pointerdown", onDown, true);
+      window.removeEventListener("keydown", onKey);
+    };
+  }, []);
+  // Keep the menu on screen; submenus open to the left near the right edge
+  const left = Math.max(4, Math.min(x, window.innerWidth - 200));
+  const top = Math.max(4, Math.min(y, window.innerHeight - items.length * 34 - 12));
+  const flip = left > window.innerWidth - 400;
+  const list = (entries, onPick) =>
+    entries.map((it, i) =>
+      it === "-" ? (
+        <div key={i} role="separator" className="my-1 border-t border-white/10" />
+      ) : (
+        <button
+          key={i}
+          role="menuitem"
+          data-index={i}
+          aria-haspopup={it.items ? "menu" : undefined}
+          aria-expanded={it.items ? sub === i : undefined}
+          disabled={it.disabled}
+          onClick={() => onPick(it, i)}
+          onMouseEnter={() => onPick === pick && setSub(it.items ? i : null)}
+          className={cx(
+            "w-full flex items-center justify-between gap-2 text-left px-2 py-1.5 rounded-lg hover:bg-white/40 dark:hover:bg-white/10 disabled:opacity-40",
+            it.danger && "text-rose-600 dark:text-rose-400"
+          )}
+        >
+          <span className="truncate">{it.label}</span>
+          {it.items && <span>▸</span>}
+        </button>
+      )
+    );
+  const pick = (it, i) => {
+    if (it.items) return setSub(sub === i ? null : i);
+    onClose();
+    it.onSelect();
+  };
+  const onKeyDown = (e) => {
+    const inSub = subRef.current?.contains(e.target);
+    const item = e.target.closest("[role=menuitem]");
+    if (e.key === "Tab") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "ArrowRight" && !inSub && item && items[item.dataset.index]?.items) {
+      e.preventDefault();
+      subByKey.current = true;
+      setSub(Number(item.dataset.index));
+    } else if (e.key === "ArrowLeft" && inSub) {
+      e.preventDefault();
+      ref.current.querySelector(`:scope > [data-index="${sub}"]`)?.focus();
+      setSub(null);
+    } else if (["ArrowUp", "ArrowDown", "Home", "End"].includes(e.key)) {
+      moveFocus(e, inSub ? subRef.current : ref.current, ":scope > [role=menuitem]");
+    }
+  };
+  const panel = "w-48 p-1 rounded-xl bg-neutral-100/95 dark:bg-neutral-900/95 backdrop-blur border border-white/10 shadow-2xl text-sm text-neutral-900 dark:text-neutral-100";
+  return createPortal(
+    <div ref={ref} role="menu" className={cx("fixed", panel)} style={{ left, top, zIndex: TASKBAR_Z + 2 }}
+      onKeyDown={onKeyDown}
+      // React events bubble through portals: keep them from reaching the owner's handlers
+      onPointerDown={(e) => e.stopPropagation()}
+      onContextMenu={(e) => { e.preventDefault(); e.stopPropagation(); }}
+    >
+      {list(items, pick)}
+      {sub !== null && items[sub]?.items && (
+        <div ref={subRef} role="menu" aria-label={items[sub].label} className={cx("absolute max-h-[60vh] overflow-auto", panel, flip ? "right-full mr-1" : "left-full ml-1")} style={{ top: 0 }}>
+          {list(items[sub].items, (it) => { onClose(); it.onSelect(); })}
+        </div>
+      )}
+    </div>,
+    document.body
+  );
+}
+
+const withContributions = (items, extra) => (extra.length ? [...items, "-", ...extra] : items);
+
+// Internal drag-and-drop carries VFS paths; Ctrl/Alt while dropping copies instead of moving
+const DRAG_MIME = "application/x-yatrz-paths";
+const hasDragPaths = (e) => Array.from(e.dataTransfer?.types || []).includes(DRAG_MIME);
+const setDragPaths = (e, paths) => {
+  e.dataTransfer.setData(DRAG_MIME, JSON.stringify(paths));
+  e.dataTransfer.effectAllowed = "copyMove";
+};
+const dragPaths = (e) => {
+  try { return JSON.parse(e.dataTransfer.getData(DRAG_MIME) || "[]"); } catch { return []; }
+};
+const dropMode = (e) => (e.ctrlKey || e.altKey ? "copy" : "move");
+
+// Copies or moves `paths` into `dstDir` (dropping on /Trash deletes); moving an item onto
+// its own folder is a no-op. Returns the names created in `dstDir`. Anything else aimed at
+// the Trash fails in the VFS (see checkNotTrash).
+function transferPaths(sys, paths, dstDir, mode) {
+  const dst = normPath(dstDir);
+  const names = [];
+  for (const p of paths) {
+    try {
+      if (dst === TRASH_PATH && mode === "move") {
+        if (!isInTrash(p)) sys.fsDelete(p);
+      }
+      else if (mode === "copy") names.push(sys.fsCopy(p, dst));
+      else if (parentPath(p) !== dst) names.push(sys.fsMove(p, dst));
+    } catch (e) { sys.notify(`${p}: ${e.message}`, { level: "error" }); }
+  }
+  return names;
+}
+
+// Menu for a file or folder; a view can override rename/remove/properties to keep its selection in step
+function fileMenuItems(sys, path, { rename, remove, properties, copy, cut } = {}) {
+  const node = sys.findNode(path);
+  if (!node) return [];
+  const guard = (fn) => () => {
+    try { fn(); } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
+  if (isInTrash(path)) {
+    // Only top-level Trash items remember where they came from
+    return [
+      parentPath(path) === TRASH_PATH && { label: t("files.restore"), onSelect: guard(() => sys.notify(t("files.restoredTo", { path: sys.fsRestore(node.name) }))) },
+      { label: t("files.deletePermanently"), danger: true, onSelect: guard(remove || (() => confirm(t("files.confirmDelete", { name: node.name })) && sys.fsDelete(path))) },
+    ].filter(Boolean);
+  }
+  const openWith = node.type === "file"
+    ? Object.values(sys.apps)
+      .filter((a) => a.accepts || a.id === "notepad")
+      .map((a) => ({ label: `${a.icon} ${a.name}`, onSelect: guard(() => sys.launch(a.id, { path }, node.name)) }))
+    : null;
+  const items = [
+    { label: t("menu.open"), onSelect: guard(() => sys.openPath(path)) },
+    openWith && { label: t("menu.openWith"), items: openWith },
+    "-",
+    { label: t("shortcut.cut"), onSelect: cut || (() => sys.setClipboard({ mode: "cut", paths: [path] })) },
+    { label: t("shortcut.copy"), onSelect: copy || (() => sys.setClipboard({ mode: "copy", paths: [path] })) },
+    { label: t("shortcut.rename"), onSelect: guard(rename || (() => {
+      const name = prompt(t("files.renamePrompt"), node.name);
+      if (name && name !== node.name) sys.fsRename(path, name);
+    })) },
+    { label: node.type === "link" ? t("files.removeShortcut") : t("files.moveToTrash"), danger: true, onSelect: guard(remove || (() => sys.fsDelete(path))) },
+    "-",
+    { label: t("files.properties"), onSelect: properties || (() => sys.launch("files", { path: parentPath(path), select: node.name, props: true })) },
+  ].filter(Boolean);
+  return withContributions(items, sys.menuContributions("file", { path, node }));
+}
+
+function Taskbar({ startOpen, setStartOpen, search, setSearch, apps, windows, restoreWin, minimizeWin, focusWin, logout, desktops, activeDesktop, switchDesktop, applyLayout, mobile, openTasks, closeWin, toggleMax, pinned, togglePin, sys }) {
   const time = useClock();
+  const [layoutOpen, setLayoutOpen] = useState(false);
+  const [menu, setMenu] = useState(null); // { x, y, items }
+
+  const pinItem = (appId) => ({ label: pinned.includes(appId) ? t("taskbar.unpin") : t("taskbar.pin"), onSelect: () => togglePin(appId) });
+  // Menus open at a point: the pointer, or the button when opened from the keyboard
+  const windowMenu = ({ x, y }, w) => {
+    setMenu({
+      x,
+      y,
+      items: withContributions(
+        [
+          w.minimized
+            ? { label: t("window.restore"), onSelect: () => { restoreWin(w.id); focusWin(w.id); } }
+            : { label: t("window.minimize"), onSelect: () => minimizeWin(w.id) },
+          { label: w.maximized ? t("window.restoreSize") : t("window.maximize"), onSelect: () => { toggleMax(w.id); restoreWin(w.id); focusWin(w.id); } },
+          pinItem(w.appId),
+          "-",
+          { label: t("window.close"), danger: true, onSelect: () => closeWin(w.id) },
+        ],
+        sys.menuContributions("taskbar", { win: w })
+      ),
+    });
+  };
+  const pinnedMenu = ({ x, y }, appId) => {
+    setMenu({ x, y, items: [{ label: t("taskbar.newWindow"), onSelect: () => sys.launch(appId) }, pinItem(appId)] });
+  };
+
   return (
-    <div className="absolute bottom-0 left-0 right-0 h-12 md:h-14 bg-neutral-100/70 dark:bg-neutral-800/70 backdrop-blur border-t border-white/10 flex items-center px-2 gap-2">
-      <button onClick={() => setStartOpen((v) => !v)} className="px-3 py-1 rounded-xl bg-white/60 dark:bg-white/10 hover:bg-white/80 dark:hover:bg-white/20">
-        <span className="font-semibold">Start</span>
+    <div
+      className="absolute bottom-0 left-0 right-0 h-12 md:h-14 bg-neutral-100/70 dark:bg-neutral-800/70 backdrop-blur border-t border-white/10 flex items-center px-2 gap-2"
+      style={{ zIndex: TASKBAR_Z }}
+      role="toolbar"
+      aria-label={t("a11y.taskbar")}
+      // Left/Right walk the taskbar buttons; popups handle their own keys
+      onKeyDown={(e) => (e.key === "ArrowLeft" || e.key === "ArrowRight") && e.target.hasAttribute?.("data-bar") && moveFocus(e, e.currentTarget, "[data-bar]")}
+    >
+      <button data-bar onClick={() => setStartOpen((v) => !v)} aria-haspopup="dialog" aria-expanded={startOpen} className="px-3 py-1 rounded-xl bg-white/60 dark:bg-white/10 hover:bg-white/80 dark:hover:bg-white/20">
+        <span className="font-semibold">{t("taskbar.start")}</span>
       </button>
 
-      {/* Taskbar windows */}
-      <div className="flex-1 flex items-center gap-2 overflow-x-auto">
-        {windows.map((w) => (
-          <button
-            key={w.id}
-            onClick={() => {
-              if (w.minimized) restoreWin(w.id);
-              else minimizeWin(w.id);
-              focusWin(w.id);
-            }}
-            className={cx(
-              "px-3 py-1 rounded-xl whitespace-nowrap",
-              w.minimized ? "bg-white/40 dark:bg-white/10" : "bg-[var(--yatrz-accent)]/30 dark:bg-[var(--yatrz-accent)]/20"
-            )}
-          >
-            {w.title}
+      {/* Mobile: one task switcher button instead of desktops, layouts and window buttons */}
+      {mobile && (
+        <>
+          <div className="flex-1" />
+          <button data-bar onClick={openTasks} className="h-8 min-w-8 px-2 rounded-lg bg-white/40 dark:bg-white/10 tabular-nums" title={t("taskbar.openWindows")} aria-label={t("taskbar.openWindows")}>
+            ▣ {desktops.reduce((n, c) => n + c, 0)}
           </button>
-        ))}
-      </div>
+        </>
+      )}
+
+      {!mobile && (
+        <>
+          {/* Virtual desktops */}
+          <div className="flex items-center gap-1" title={t("taskbar.desktops")} role="group" aria-label={t("taskbar.desktops")}>
+            {desktops.map((count, d) => (
+              <button
+                key={d}
+                data-bar
+                onClick={() => switchDesktop(d)}
+                aria-pressed={d === activeDesktop}
+                aria-label={t("a11y.desktopN", { n: d + 1, count })}
+                className={cx(
+                  "w-7 h-7 rounded-lg text-xs tabular-nums relative",
+                  d === activeDesktop ? "bg-[var(--yatrz-accent)]/40" : "bg-white/40 dark:bg-white/10"
+                )}
+              >
+                {d + 1}
+                {count > 0 && <span className="absolute bottom-0.5 left-1/2 -translate-x-1/2 w-1 h-1 rounded-full bg-current" />}
+              </button>
+            ))}
+          </div>
+
+          {/* Tiling layouts */}
+          <div className="relative">
+            <button data-bar onClick={() => setLayoutOpen((v) => !v)} className="w-7 h-7 rounded-lg bg-white/40 dark:bg-white/10" title={t("taskbar.arrange")} aria-label={t("taskbar.arrange")} aria-haspopup="menu" aria-expanded={layoutOpen}>⊞</button>
+            {layoutOpen && (
+              <div
+                className="absolute bottom-10 left-0 w-44 p-1 rounded-xl bg-neutral-100/95 dark:bg-neutral-900/95 border border-white/10 shadow-2xl"
+                role="menu"
+                onKeyDown={(e) => {
+                  if (e.key === "Escape") setLayoutOpen(false);
+                  else if (e.key === "ArrowUp" || e.key === "ArrowDown") moveFocus(e, e.currentTarget, "[role=menuitem]");
+                }}
+              >
+                {TILE_LAYOUTS.map((l, i) => (
+                  <button key={l.id} role="menuitem" autoFocus={i === 0} onClick={() => { applyLayout(l.id); setLayoutOpen(false); }} className="w-full text-left px-2 py-1 rounded-lg text-sm hover:bg-white/40 dark:hover:bg-white/10">
+                    {l.icon} {t(l.label)}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Pinned apps */}
+          {pinned.length > 0 && (
+            <div className="flex items-center gap-1">
+              {pinned.map((id) => (
+                <button key={id} data-bar onClick={() => sys.launch(id)} onContextMenu={(e) => { e.preventDefault(); pinnedMenu({ x: e.clientX, y: e.clientY }, id); }}
+                  onKeyDown={(e) => { if (isMenuKey(e)) { e.preventDefault(); pinnedMenu(menuPoint(e.currentTarget), id); } }}
+                   className="w-8 h-8 rounded-lg hover:bg-white/40 dark:hover:bg-white/10 text-lg" title={apps[id].name} aria-label={apps[id].name}>
+                  {apps[id].icon}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Taskbar windows */}
+          <div className="flex-1 flex items-center gap-2 overflow-x-auto">
+            {windows.map((w) => (
+              <button
+                key={w.id}
+                data-bar
+                aria-pressed={!w.minimized}
+                onContextMenu={(e) => { e.preventDefault(); windowMenu({ x: e.clientX, y: e.clientY }, w); }}
+                onKeyDown={(e) => { if (isMenuKey(e)) { e.preventDefault(); windowMenu(menuPoint(e.currentTarget), w); } }}
+                onClick={() => {
+                  if (w.minimized) restoreWin(w.id);
+                  else minimizeWin(w.id);
+                  focusWin(w.id);
+                }}
+                className={cx(
+                  "px-3 py-1 rounded-xl whitespace-nowrap",
+                  w.minimized ? "bg-white/40 dark:bg-white/10" : "bg-[var(--yatrz-accent)]/30 dark:bg-[var(--yatrz-accent)]/20"
+                )}
+              >
+                {w.title}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      <NotificationCenter sys={sys} apps={apps} />
 
       {/* Clock */}
       <div className="hidden md:flex items-center text-sm text-neutral-700 dark:text-neutral-300 tabular-nums">
@@ -621,14 +4470,17 @@ function Taskbar({ startOpen, setStartOpen, search, setSearch, apps, windows, re
       {/* User */}
       <div className="flex items-center gap-2">
         <button
+          data-bar
           onClick={logout}
           className="px-2 py-1 rounded-lg text-xs bg-white/60 dark:bg-white/10 hover:bg-white/80 dark:hover:bg-white/20"
-          title="Sair"
+          title={t("taskbar.logout")}
         >
-          Sair
+          {t("taskbar.logout")}
         </button>
       </div>
 
+      {menu && <ContextMenu x={menu.x} y={menu.y} items={menu.items} onClose={() => setMenu(null)} />}
+
       {/* Start Menu */}
       {startOpen && (
         <StartMenu onClose={() => setStartOpen(false)} apps={apps} onLaunch={(id)=>{setStartOpen(false); sys.launch(id);}} sys={sys} />
@@ -637,13 +4489,130 @@ function Taskbar({ startOpen, setStartOpen, search, setSearch, apps, windows, re
   );
 }
 
+const MAX_NOTIFICATIONS = 100;
+const NOTIFY_TIMEOUT = { info: 4000, success: 4000, warning: 6000, error: 8000 };
+const NOTIFY_LEVELS = {
+  info: { icon: "ℹ️", label: "notify.info", border: "border-sky-400" },
+  success: { icon: "✅", label: "notify.success", border: "border-emerald-400" },
+  warning: { icon: "⚠️", label: "notify.warning", border: "border-amber-400" },
+  error: { icon: "⛔", label: "notify.error", border: "border-rose-500" },
+};
+
+// `run` callbacks are not saved, so after a reload those actions drop out of the history
+const liveActions = (n) => (n.actions || []).filter((a) => a.run || a.path || a.app);
+
+// Bell with an unread badge; the panel lists the history newest first
+function NotificationCenter({ sys, apps }) {
+  const [open, setOpen] = useState(false);
+  const list = sys.notifications;
+  const unread = list.filter((n) => !n.read).length;
+  // Notifications that arrive while the panel is open count as seen
+  useEffect(() => {
+    if (open && unread) sys.setNotifications((h) => h.map((n) => (n.read ? n : { ...n, read: true })));
+  }, [open, unread]);
+
+  const remove = (id) => sys.setNotifications((h) => h.filter((n) => n.id !== id));
+
+  return (
+    <div className="relative">
+      <button
+        data-bar
+        onClick={() => setOpen((v) => !v)}
+        className="relative w-8 h-8 rounded-lg hover:bg-white/40 dark:hover:bg-white/10"
+        title={t("notify.center")}
+        aria-label={unread ? t("a11y.unread", { count: unread }) : t("notify.center")}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+      >
+        <span aria-hidden="true">{sys.dnd ? "🔕" : "🔔"}</span>
+        {unread > 0 && (
+          <span aria-hidden="true" className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-rose-500 text-white text-[10px] leading-[18px] tabular-nums">
+            {unread > 99 ? "99+" : unread}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div
+          className="absolute bottom-12 right-0 w-80 max-w-[calc(100vw-1rem)] max-h-[60vh] flex flex-col rounded-2xl bg-neutral-100/95 dark:bg-neutral-900/95 backdrop-blur border border-white/10 shadow-2xl"
+          role="dialog"
+          aria-labelledby="notif-title"
+          onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+        >
+          <div className="flex items-center justify-between gap-2 p-3 border-b border-white/10">
+            <h3 id="notif-title" className="font-semibold">{t("notify.center")}</h3>
+            <label className="flex items-center gap-1 text-xs">
+              <input type="checkbox" checked={sys.dnd} onChange={(e) => sys.setDnd(e.target.checked)} autoFocus />
+              {t("notify.dnd")}
+            </label>
+          </div>
+          <div className="flex-1 overflow-auto p-2 space-y-2">
+            {list.length === 0 && <div className="text-sm text-neutral-500 text-center py-6">{t("notify.empty")}</div>}
+            {list.map((n) => (
+              <div key={n.id} role="article" className={cx("p-2 rounded-xl bg-white/60 dark:bg-white/5 text-sm border-l-4", NOTIFY_LEVELS[n.level]?.border)}>
+                <div className="flex items-center gap-2 text-xs text-neutral-500">
+                  <span title={t(NOTIFY_LEVELS[n.level]?.label)}>{NOTIFY_LEVELS[n.level]?.icon}</span>
+                  <span className="flex-1 truncate">{apps[n.app]?.name || t("scope.system")} · {formatDate(n.ts)}</span>
+                  <button onClick={() => remove(n.id)} className="hover:text-rose-500" title={t("notify.remove")} aria-label={t("notify.remove")}>✖</button>
+                </div>
+                {n.title && <div className="font-semibold mt-1">{n.title}</div>}
+                <div className="break-words">{n.text}</div>
+                {liveActions(n).length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {liveActions(n).map((a, i) => (
+                      <button key={i} onClick={() => { setOpen(false); sys.runNotifAction(a); }} className="px-2 py-1 rounded-lg bg-[var(--yatrz-accent)]/30 text-xs">
+                        {a.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          {list.length > 0 && (
+            <div className="p-2 border-t border-white/10 text-right">
+              <button onClick={() => sys.setNotifications([])} className="px-2 py-1 rounded-lg text-xs bg-white/40 dark:bg-white/10">{t("notify.clearAll")}</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Mobile task switcher: every open window as a card; tap to switch, ✖ to close
+function TaskSwitcher({ windows, apps, onPick, onCloseWin, onClose }) {
+  return (
+    <div
+      className="absolute inset-x-0 top-0 bottom-12 md:bottom-14 p-4 bg-black/60 backdrop-blur overflow-auto"
+      style={{ zIndex: TASKBAR_Z - 1 }}
+      onClick={onClose}
+      role="dialog"
+      aria-label={t("taskbar.openWindows")}
+      onKeyDown={(e) => (e.key === "Escape" ? onClose() : moveFocus(e, e.currentTarget))}
+    >
+      {windows.length === 0 && <div className="h-full flex items-center justify-center text-white/70 text-sm">{t("taskbar.noWindows")}</div>}
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {windows.map((w, i) => (
+          <div key={w.id} className="relative h-32 rounded-2xl bg-neutral-100/90 dark:bg-neutral-900/90">
+            <button data-nav autoFocus={i === 0} onClick={(e) => { e.stopPropagation(); onPick(w.id); }} className="w-full h-full p-3 rounded-2xl flex flex-col items-center justify-center gap-2">
+              <span className="text-4xl" aria-hidden="true">{apps[w.appId]?.icon || "🗔"}</span>
+              <span className="text-xs w-full truncate text-center">{w.title}</span>
+            </button>
+            <button onClick={(e) => { e.stopPropagation(); onCloseWin(w.id); }} className="absolute top-1 right-1 w-8 h-8 rounded-lg hover:bg-rose-500/30" aria-label={`${t("window.close")}: ${w.title}`}>✖</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function useClock() {
   const [now, setNow] = useState(new Date());
   useEffect(() => {
     const t = setInterval(() => setNow(new Date()), 1000);
     return () => clearInterval(t);
   }, []);
-  return now.toLocaleString();
+  return now.toLocaleString(currentLocale);
 }
 
 function StartMenu({ onClose, apps, onLaunch, sys }) {
@@ -651,104 +4620,450 @@ function StartMenu({ onClose, apps, onLaunch, sys }) {
   const items = Object.values(apps)
     .filter((a) => a && a.name && a.name.toLowerCase().includes(q.toLowerCase()))
     .sort((a, b) => a.name.localeCompare(b.name));
+  const files = useMemo(() => (q.trim().length >= 2 ? sys.searchFiles(q, 20) : []), [q, sys.fsRoot]);
+
+  const openFile = (path) => {
+    onClose();
+    try { sys.openPath(path); } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
+
+  useFocusReturn();
+
+  // Arrows walk apps and file results; ArrowDown leaves the search box
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") return onClose();
+    if (e.target.tagName === "INPUT") {
+      if (e.key === "ArrowDown") { e.preventDefault(); e.currentTarget.querySelector("[data-nav]")?.focus(); }
+      return;
+    }
+    moveFocus(e, e.currentTarget);
+  };
 
   return (
-    <div className="absolute bottom-14 left-2 w-[320px] md:w-[420px] bg-neutral-100/90 dark:bg-neutral-900/90 rounded-2xl border border-white/10 shadow-2xl backdrop-blur p-3 space-y-3">
+    <div
+      className="absolute bottom-14 left-2 w-[320px] max-w-[calc(100vw-1rem)] md:w-[420px] bg-neutral-100/90 dark:bg-neutral-900/90 rounded-2xl border border-white/10 shadow-2xl backdrop-blur p-3 space-y-3"
+      role="dialog"
+      aria-label={t("taskbar.start")}
+      onKeyDown={onKeyDown}
+    >
       <div className="flex items-center gap-2">
         <input
           autoFocus
           value={q}
           onChange={(e) => setQ(e.target.value)}
-          placeholder="Buscar apps..."
+          placeholder={t("start.search")}
+          aria-label={t("start.search")}
           className="flex-1 px-3 py-2 rounded-xl bg-white/60 dark:bg-white/10 outline-none focus:ring-2 ring-[var(--yatrz-accent)]"
         />
-        <button onClick={onClose} className="px-2 py-2 rounded-xl bg-white/60 dark:bg-white/10">✖</button>
+        <button onClick={onClose} className="px-2 py-2 rounded-xl bg-white/60 dark:bg-white/10" aria-label={t("window.close")}>✖</button>
+      </div>
+
+      <div className="max-h-[50vh] overflow-auto grid grid-cols-3 gap-2" role="group" aria-label={t("start.apps")}>
+        {items.map((a) => (
+          <div key={a.id} className="relative group">
+            <button data-nav onClick={() => onLaunch(a.id)} className="w-full flex flex-col items-center gap-1 p-2 rounded-xl hover:bg-white/40 dark:hover:bg-white/10">
+              <div className="text-2xl" aria-hidden="true">{a.icon || "📦"}</div>
+              <div className="text-xs text-center">{a.name}</div>
+            </button>
+            <button
+              onClick={() => { sys.createShortcut({ kind: "app", id: a.id }, a.name); sys.notify(t("start.sentToDesktop", { name: a.name })); }}
+              className="absolute top-1 right-1 hidden group-hover:block group-focus-within:block text-xs px-1 rounded bg-white/60 dark:bg-white/10"
+              title={t("files.sendToDesktop")}
+              aria-label={`${t("files.sendToDesktop")}: ${a.name}`}
+            >📌</button>
+          </div>
+        ))}
       </div>
 
-      <div className="max-h-[50vh] overflow-auto grid grid-cols-3 gap-2">
-        {items.map((a) => (
-          <button key={a.id} onClick={() => onLaunch(a.id)} className="flex flex-col items-center gap-1 p-2 rounded-xl hover:bg-white/40 dark:hover:bg-white/10">
-            <div className="text-2xl">{a.icon || "📦"}</div>
-            <div className="text-xs text-center">{a.name}</div>
-          </button>
-        ))}
-      </div>
+      {files.length > 0 && (
+        <div className="max-h-[35vh] overflow-auto space-y-1" role="group" aria-labelledby="start-files">
+          <div id="start-files" className="text-xs font-semibold text-neutral-500">{t("start.files")}</div>
+          {files.map((r) => (
+            <button data-nav key={r.path} onClick={() => openFile(r.path)} className="w-full text-left flex gap-2 p-2 rounded-xl hover:bg-white/40 dark:hover:bg-white/10">
+              <div className="text-xl" aria-hidden="true">{fileIcon(r.node, { apps, root: sys.fsRoot })}</div>
+              <div className="min-w-0">
+                <div className="text-sm truncate">{r.node.name}</div>
+                <div className="text-xs text-neutral-500 truncate font-mono">{r.path}</div>
+                {r.snippet && (
+                  <div className="text-xs text-neutral-600 dark:text-neutral-400 truncate">
+                    {r.snippet.before}<mark className="bg-[var(--yatrz-accent)]/40 text-inherit rounded">{r.snippet.match}</mark>{r.snippet.after}
+                  </div>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="text-xs text-neutral-500">{t("settings.theme")}: <span className="font-mono">{sys.theme}</span> · {t("settings.accent")}: <span className="font-mono">{sys.accent}</span></div>
+    </div>
+  );
+}
+
+/*********************************
+ * Window Component
+ *********************************/
+// useState for apps whose value should survive session restore: it is mirrored
+// into `win.appState[key]`, which is saved with the window list.
+function useWindowState(win, setWin, key, initial) {
+  const [value, setValue] = useState(() => {
+    if (win.appState && key in win.appState) return win.appState[key];
+    return typeof initial === "function" ? initial() : initial;
+  });
+  useEffect(() => {
+    setWin((w) => ({ appState: { ...w.appState, [key]: value } }));
+  }, [value]);
+  return [value, setValue];
+}
+
+const TASKBAR_HEIGHT = 56; // h-14
+const TASKBAR_Z = 1e9; // above any window z
+const MIN_WIN = { w: 280, h: 180 };
+const VIRTUAL_DESKTOPS = 4;
+const MOBILE_QUERY = "(max-width: 640px), (pointer: coarse) and (max-width: 1024px)";
+
+function viewportRect() {
+  return { w: window.innerWidth, h: window.innerHeight - TASKBAR_HEIGHT };
+}
+
+// Fits { pos, size } inside the viewport above the taskbar, honoring the minimum size
+function clampGeometry({ pos, size }, vp = viewportRect()) {
+  const w = Math.max(MIN_WIN.w, Math.min(size.w, vp.w));
+  const h = Math.max(MIN_WIN.h, Math.min(size.h, vp.h));
+  return {
+    pos: {
+      x: Math.min(Math.max(0, pos.x), Math.max(0, vp.w - w)),
+      y: Math.min(Math.max(0, pos.y), Math.max(0, vp.h - h)),
+    },
+    size: { w, h },
+  };
+}
+
+// New rect for a resize drag on `edge` (any of "n", "s", "e", "w" combined) by dx/dy
+function resizeRect(start, edge, dx, dy, vp) {
+  let { x, y, w, h } = start;
+  if (edge.includes("e")) w = Math.min(start.w + dx, vp.w - start.x);
+  if (edge.includes("s")) h = Math.min(start.h + dy, vp.h - start.y);
+  if (edge.includes("w")) {
+    x = Math.max(0, Math.min(start.x + dx, start.x + start.w - MIN_WIN.w));
+    w = start.w + start.x - x;
+  }
+  if (edge.includes("n")) {
+    y = Math.max(0, Math.min(start.y + dy, start.y + start.h - MIN_WIN.h));
+    h = start.h + start.y - y;
+  }
+  return { x, y, w: Math.max(MIN_WIN.w, w), h: Math.max(MIN_WIN.h, h) };
+}
+
+// Snap zone under the pointer while dragging a window: screen edges snap to halves,
+// their outer quarters to quarter tiles and the top edge maximizes
+function snapZone(x, y, vp, margin = 8) {
+  const left = x <= margin;
+  const right = x >= vp.w - margin;
+  if (left || right) {
+    if (y < vp.h * 0.25) return left ? "tl" : "tr";
+    if (y > vp.h * 0.75) return left ? "bl" : "br";
+    return left ? "left" : "right";
+  }
+  return y <= margin ? "max" : null;
+}
 
-      <div className="text-xs text-neutral-500">Tema: <span className="font-mono">{storage.get("theme","dark")}</span> · Acento: <span className="font-mono">{storage.get("accent","cyan")}</span></div>
-    </div>
-  );
+function snapRect(zone, vp) {
+  const hw = Math.floor(vp.w / 2);
+  const hh = Math.floor(vp.h / 2);
+  return {
+    left: { x: 0, y: 0, w: hw, h: vp.h },
+    right: { x: hw, y: 0, w: vp.w - hw, h: vp.h },
+    tl: { x: 0, y: 0, w: hw, h: hh },
+    tr: { x: hw, y: 0, w: vp.w - hw, h: hh },
+    bl: { x: 0, y: hh, w: hw, h: vp.h - hh },
+    br: { x: hw, y: hh, w: vp.w - hw, h: vp.h - hh },
+    max: { x: 0, y: 0, w: vp.w, h: vp.h },
+  }[zone];
 }
 
-/*********************************
- * Window Component
- *********************************/
-function Window({ win, app, onFocus, onClose, onMinimize, onToggleMax, children }) {
+const TILE_LAYOUTS = [
+  { id: "columns", label: "layout.columns", icon: "▥" },
+  { id: "rows", label: "layout.rows", icon: "▤" },
+  { id: "grid", label: "layout.grid", icon: "▦" },
+  { id: "main", label: "layout.main", icon: "◧" },
+  { id: "cascade", label: "layout.cascade", icon: "❐" },
+];
+
+// Rects for `n` windows in a tiling layout (first = most recently focused)
+function tileRects(kind, n, vp) {
+  if (!n) return [];
+  const split = (total, parts, i) => {
+    const base = Math.floor(total / parts);
+    return { start: base * i, size: i === parts - 1 ? total - base * i : base };
+  };
+  if (kind === "columns" || kind === "rows") {
+    return Array.from({ length: n }, (_, i) => {
+      const s = split(kind === "columns" ? vp.w : vp.h, n, i);
+      return kind === "columns" ? { x: s.start, y: 0, w: s.size, h: vp.h } : { x: 0, y: s.start, w: vp.w, h: s.size };
+    });
+  }
+  if (kind === "grid") {
+    const cols = Math.ceil(Math.sqrt(n));
+    const rows = Math.ceil(n / cols);
+    return Array.from({ length: n }, (_, i) => {
+      const c = split(vp.w, cols, i % cols);
+      const r = split(vp.h, rows, Math.floor(i / cols));
+      return { x: c.start, y: r.start, w: c.size, h: r.size };
+    });
+  }
+  if (kind === "main") {
+    if (n === 1) return [{ x: 0, y: 0, w: vp.w, h: vp.h }];
+    const mainW = Math.floor(vp.w * 0.6);
+    return [
+      { x: 0, y: 0, w: mainW, h: vp.h },
+      ...Array.from({ length: n - 1 }, (_, i) => {
+        const r = split(vp.h, n - 1, i);
+        return { x: mainW, y: r.start, w: vp.w - mainW, h: r.size };
+      }),
+    ];
+  }
+  // cascade: oldest at the back, most recent on top at the end of the stack
+  return Array.from({ length: n }, (_, i) => {
+    const step = n - 1 - i;
+    return { x: 40 + step * 32, y: 30 + step * 28, w: Math.min(720, vp.w - 80), h: Math.min(480, vp.h - 60) };
+  });
+}
+
+const RESIZE_HANDLES = [
+  { edge: "n", className: "top-0 left-3 right-3 h-1.5 cursor-ns-resize" },
+  { edge: "s", className: "bottom-0 left-3 right-3 h-1.5 cursor-ns-resize" },
+  { edge: "e", className: "right-0 top-3 bottom-3 w-1.5 cursor-ew-resize" },
+  { edge: "w", className: "left-0 top-3 bottom-3 w-1.5 cursor-ew-resize" },
+  { edge: "nw", className: "top-0 left-0 w-3 h-3 cursor-nwse-resize" },
+  { edge: "ne", className: "top-0 right-0 w-3 h-3 cursor-nesw-resize" },
+  { edge: "sw", className: "bottom-0 left-0 w-3 h-3 cursor-nesw-resize" },
+  { edge: "se", className: "bottom-0 right-0 w-3 h-3 cursor-nwse-resize" },
+];
+
+function Window({ win, app, hidden, active, mobile, onFocus, onClose, onMinimize, onToggleMax, onGeometry, children }) {
   const ref = useRef(null);
-  const dragging = useRef(null);
+  // The top window of the desktop holds keyboard focus: a new one takes it, and when it
+  // closes focus goes to the next window, or back to what opened it
+  useFocusReturn();
+  useEffect(() => {
+    if (active && !ref.current?.contains(document.activeElement)) ref.current?.focus();
+  }, [active]);
+  // Active drag: { kind: "move" | "resize", pointerId, edge, startX, startY, rect, last, zone }.
+  // While dragging the element is moved directly; the result is committed on pointerup.
+  const action = useRef(null);
+  const commit = useRef(onGeometry);
+  commit.current = onGeometry;
+  const [snapPreview, setSnapPreview] = useState(null);
+  const coarse = useMediaQuery("(pointer: coarse)");
+  const titleGestures = usePointerGestures({ onDoubleTap: mobile ? undefined : onToggleMax });
 
   useEffect(() => {
-    const el = ref.current;
-    if (!el) return;
-    const onMouseMove = (e) => {
-      if (!dragging.current) return;
-      const { offsetX, offsetY } = dragging.current;
-      const x = e.clientX - offsetX;
-      const y = e.clientY - offsetY;
-      el.style.left = Math.max(4, x) + "px";
-      el.style.top = Math.max(4, y) + "px";
+    const onPointerMove = (e) => {
+      const a = action.current;
+      const el = ref.current;
+      if (!a || !el || e.pointerId !== a.pointerId) return;
+      const dx = e.clientX - a.startX;
+      const dy = e.clientY - a.startY;
+      const vp = viewportRect();
+      if (a.kind === "move") {
+        const { pos } = clampGeometry({ pos: { x: a.rect.x + dx, y: a.rect.y + dy }, size: a.rect }, vp);
+        a.last = { ...a.rect, ...pos };
+        const zone = snapZone(e.clientX, e.clientY, vp);
+        if (zone !== a.zone) {
+          a.zone = zone;
+          setSnapPreview(zone ? snapRect(zone, vp) : null);
+        }
+      } else {
+        a.last = resizeRect(a.rect, a.edge, dx, dy, vp);
+      }
+      el.style.left = a.last.x + "px";
+      el.style.top = a.last.y + "px";
+      el.style.width = a.last.w + "px";
+      el.style.height = a.last.h + "px";
     };
-    const onMouseUp = () => (dragging.current = null);
-    window.addEventListener("mousemove", onMouseMove);
-    window.addEventListener("mouseup", onMouseUp);
+    const onPointerUp = (e) => {
+      const a = action.current;
+      if (!a || e.pointerId !== a.pointerId) return;
+      action.current = null;
+      if (!a.last) return;
+      setSnapPreview(null);
+      const restoreSize = a.restoreSize || { w: a.rect.w, h: a.rect.h };
+      if (a.zone === "max") {
+        commit.current({ pos: a.start, size: restoreSize, maximized: true, restoreSize: null });
+      } else if (a.zone) {
+        // Remember the floating size so dragging out of the snap restores it
+        const r = snapRect(a.zone, viewportRect());
+        commit.current({ pos: { x: r.x, y: r.y }, size: { w: r.w, h: r.h }, restoreSize });
+      } else {
+        commit.current({ pos: { x: a.last.x, y: a.last.y }, size: { w: a.last.w, h: a.last.h }, restoreSize: null });
+      }
+    };
+    window.addEventListener("pointermove", onPointerMove);
+    window.addEventListener("pointerup", onPointerUp);
+    window.addEventListener("pointercancel", onPointerUp);
     return () => {
-      window.removeEventListener("mousemove", onMouseMove);
-      window.removeEventListener("mouseup", onMouseUp);
+      window.removeEventListener("pointermove", onPointerMove);
+      window.removeEventListener("pointerup", onPointerUp);
+      window.removeEventListener("pointercancel", onPointerUp);
     };
   }, []);
 
-  useEffect(() => {
-    const el = ref.current;
-    if (!el) return;
-    el.style.zIndex = win.z;
-    if (win.maximized) {
-      el.style.left = "0px";
-      el.style.top = "0px";
-      el.style.width = "100%";
-      el.style.height = "calc(100% - 3.5rem)"; // minus taskbar
-    } else {
-      el.style.left = win.pos.x + "px";
-      el.style.top = win.pos.y + "px";
-      el.style.width = win.size.w + "px";
-      el.style.height = win.size.h + "px";
+  const begin = (e, kind, edge = null) => {
+    if (win.maximized || mobile || !e.isPrimary || e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    let rect = { x: win.pos.x, y: win.pos.y, w: win.size.w, h: win.size.h };
+    // Dragging a snapped window restores its floating size under the pointer
+    if (kind === "move" && win.restoreSize) {
+      const ratio = (e.clientX - win.pos.x) / win.size.w;
+      rect = { x: e.clientX - ratio * win.restoreSize.w, y: win.pos.y, ...win.restoreSize };
     }
-  }, [win]);
+    action.current = {
+      kind,
+      pointerId: e.pointerId,
+      edge,
+      startX: e.clientX,
+      startY: e.clientY,
+      start: { x: rect.x, y: rect.y },
+      rect,
+      restoreSize: kind === "move" ? win.restoreSize : null,
+      last: null,
+      zone: null,
+    };
+    onFocus();
+  };
+
+  const style = win.maximized || mobile
+    ? { zIndex: win.z, left: 0, top: 0, width: "100%", height: `calc(100% - ${TASKBAR_HEIGHT}px)` }
+    : { zIndex: win.z, left: win.pos.x, top: win.pos.y, width: win.size.w, height: win.size.h };
 
   return (
-    <div ref={ref} className={cx(
-      "absolute bg-neutral-100 dark:bg-neutral-900 border border-white/10 rounded-2xl shadow-2xl overflow-hidden",
-      win.minimized && "hidden"
-    )} onMouseDown={onFocus}>
+    <>
+    {snapPreview && (
+      <div
+        className="absolute rounded-2xl border-2 border-[var(--yatrz-accent)] bg-[var(--yatrz-accent)]/15 pointer-events-none"
+        style={{ zIndex: win.z, left: snapPreview.x, top: snapPreview.y, width: snapPreview.w, height: snapPreview.h }}
+      />
+    )}
+    <div ref={ref} data-win={win.id} style={style} className={cx(
+      "absolute bg-neutral-100 dark:bg-neutral-900 border border-white/10 shadow-2xl overflow-hidden outline-none",
+      mobile ? "rounded-none" : "rounded-2xl",
+      (win.minimized || hidden) && "hidden"
+    )} onPointerDown={onFocus} role="dialog" aria-labelledby={`win-title-${win.id}`} tabIndex={-1}>
       <div
-        className="h-10 flex items-center justify-between px-3 bg-black/5 dark:bg-white/5 cursor-grab select-none"
-        onMouseDown={(e) => {
-          const rect = ref.current.getBoundingClientRect();
-          dragging.current = { offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.top };
-          onFocus();
+        className={cx("h-10 flex items-center justify-between px-3 bg-black/5 dark:bg-white/5 select-none touch-none", !mobile && "cursor-grab")}
+        {...titleGestures}
+        onPointerDown={(e) => {
+          titleGestures.onPointerDown(e);
+          begin(e, "move");
         }}
       >
         <div className="flex items-center gap-2">
-          <span className="text-lg">{app?.icon || "📦"}</span>
-          <span className="font-semibold truncate max-w-[28vw]">{win.title}</span>
+          <span className="text-lg" aria-hidden="true">{app?.icon || "📦"}</span>
+          <span id={`win-title-${win.id}`} className="font-semibold truncate max-w-[28vw]">{win.title}</span>
         </div>
-        <div className="flex items-center gap-1">
-          <button onClick={onMinimize} className="w-8 h-8 rounded-lg hover:bg-white/20">➖</button>
-          <button onClick={onToggleMax} className="w-8 h-8 rounded-lg hover:bg-white/20">🗖</button>
-          <button onClick={onClose} className="w-8 h-8 rounded-lg hover:bg-rose-500/30">✖</button>
+        <div className="flex items-center gap-1" role="toolbar" aria-label={t("a11y.windowControls")} onPointerDown={(e) => e.stopPropagation()}>
+          <button onClick={onMinimize} className="w-8 h-8 rounded-lg hover:bg-white/20" aria-label={t("window.minimize")} title={t("window.minimize")}>➖</button>
+          {!mobile && (
+            <button onClick={onToggleMax} className="w-8 h-8 rounded-lg hover:bg-white/20" aria-label={win.maximized ? t("window.restoreSize") : t("window.maximize")} title={win.maximized ? t("window.restoreSize") : t("window.maximize")}>🗖</button>
+          )}
+          <button onClick={onClose} className="w-8 h-8 rounded-lg hover:bg-rose-500/30" aria-label={t("window.close")} title={t("window.close")}>✖</button>
         </div>
       </div>
       <div className="w-full h-[calc(100%-2.5rem)] bg-white/60 dark:bg-white/5 p-2 overflow-auto">
         {children}
       </div>
+      {!win.maximized && !mobile && RESIZE_HANDLES.map((h) => (
+        <div key={h.edge} className={cx("absolute z-10 touch-none", h.className)} onPointerDown={(e) => begin(e, "resize", h.edge)} />
+      ))}
+      {/* Edges are too thin for a finger: add a visible corner grip on touch screens */}
+      {coarse && !win.maximized && !mobile && (
+        <div className="absolute bottom-0 right-0 z-10 w-7 h-7 flex items-end justify-end p-1 text-xs text-neutral-500 cursor-nwse-resize touch-none" onPointerDown={(e) => begin(e, "resize", "se")}>◢</div>
+      )}
+    </div>
+    </>
+  );
+}
+
+/*********************************
+ * Keyboard Shortcuts
+ *********************************/
+// Combos are written "Ctrl+Alt+Shift+Meta+Key"; letters and digits use the physical
+// key (e.code) so Alt/Shift layouts don't change them. Labels are catalog keys.
+const SYSTEM_SHORTCUTS = [
+  { id: "start.toggle", label: "shortcut.start.toggle", keys: "Alt+S" },
+  { id: "window.switch", label: "shortcut.window.switch", keys: "Alt+Tab" },
+  { id: "window.switchBack", label: "shortcut.window.switchBack", keys: "Alt+Shift+Tab" },
+  { id: "window.close", label: "shortcut.window.close", keys: "Alt+W" },
+  { id: "window.minimize", label: "shortcut.window.minimize", keys: "Alt+M" },
+  { id: "window.maximize", label: "shortcut.window.maximize", keys: "Alt+ArrowUp" },
+  { id: "desktop.prev", label: "shortcut.desktop.prev", keys: "Ctrl+Alt+ArrowLeft" },
+  { id: "desktop.next", label: "shortcut.desktop.next", keys: "Ctrl+Alt+ArrowRight" },
+  { id: "desktop.movePrev", label: "shortcut.desktop.movePrev", keys: "Ctrl+Alt+Shift+ArrowLeft" },
+  { id: "desktop.moveNext", label: "shortcut.desktop.moveNext", keys: "Ctrl+Alt+Shift+ArrowRight" },
+  ...Array.from({ length: VIRTUAL_DESKTOPS }, (_, d) => ({
+    id: `desktop.${d + 1}`,
+    label: "shortcut.desktop.n",
+    vars: { n: d + 1 },
+    keys: `Ctrl+Alt+${d + 1}`,
+  })),
+];
+
+const MODIFIER_KEYS = ["Control", "Alt", "Shift", "Meta"];
+
+// Normalized combo for a keydown event, or null while only modifiers are held
+function comboFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key = e.key;
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+  else if (key === " ") key = "Space";
+  else if (key.length === 1) key = key.toUpperCase();
+  return [e.ctrlKey && "Ctrl", e.altKey && "Alt", e.shiftKey && "Shift", e.metaKey && "Meta", key].filter(Boolean).join("+");
+}
+
+const KEY_SYMBOLS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+const formatCombo = (combo) => (combo || "").split("+").map((k) => KEY_SYMBOLS[k] || k).join(" + ");
+
+// Binds an app shortcut declared in the registry (`app.shortcuts`); it fires while `win` is focused
+function useShortcut(sys, win, id, run) {
+  const latest = useRef(run);
+  latest.current = run;
+  useEffect(() => sys.registerShortcut({ id, winId: win.id, run: () => latest.current() }), [id, win.id]);
+}
+
+function WindowSwitcher({ windows, index, apps, onPick }) {
+  return (
+    <div className="absolute inset-0 flex items-center justify-center pointer-events-none" style={{ zIndex: TASKBAR_Z + 1 }}>
+      <div
+        className="pointer-events-auto max-w-[90vw] p-3 rounded-2xl bg-neutral-100/90 dark:bg-neutral-900/90 backdrop-blur border border-white/10 shadow-2xl flex gap-2 overflow-x-auto"
+        role="listbox"
+        aria-label={t("shortcut.window.switch")}
+        aria-activedescendant={windows[index] && `switch-${windows[index].id}`}
+      >
+        {windows.map((w, i) => (
+          <button
+            key={w.id}
+            id={`switch-${w.id}`}
+            role="option"
+            aria-selected={i === index}
+            onClick={() => onPick(w.id)}
+            className={cx(
+              "w-28 shrink-0 p-2 rounded-xl flex flex-col items-center gap-1",
+              i === index ? "bg-[var(--yatrz-accent)]/30 ring-2 ring-[var(--yatrz-accent)]" : "hover:bg-white/40 dark:hover:bg-white/10"
+            )}
+          >
+            <span className="text-3xl" aria-hidden="true">{apps[w.appId]?.icon || "🗔"}</span>
+            <span className="text-xs w-full truncate text-center">{w.title}</span>
+            {(w.minimized || w.desktop) ? (
+              <span className="text-[10px] text-neutral-500">
+                {[w.minimized && t("window.minimized"), w.desktop && t("window.onDesktop", { n: w.desktop + 1 })].filter(Boolean).join(" · ")}
+              </span>
+            ) : null}
+          </button>
+        ))}
+      </div>
     </div>
   );
 }
@@ -759,84 +5074,284 @@ function Window({ win, app, onFocus, onClose, onMinimize, onToggleMax, children
 
 // Notepad
 function NotepadApp({ win, setWin, sys }) {
-  const [path, setPath] = useState(win.payload?.path || null);
+  const [path, setPath] = useWindowState(win, setWin, "path", win.payload?.path || null);
   const [text, setText] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  const sync = useFileSync({
+    sys, win, path, setPath, text,
+    onLoad: (node) => {
+      if (isBinaryNode(node)) {
+        sys.notify(t("notepad.binary", { name: node.name }));
+        setPath(null);
+        return;
+      }
+      setText(node?.content || "");
+    },
+  });
 
   useEffect(() => {
-    if (path) {
-      const node = sys.findNode(path);
-      setText(node?.content || "");
-      setWin({ title: `Bloco de Notas — ${path.split("/").pop()}` });
-    } else {
-      setWin({ title: `Bloco de Notas` });
-    }
-  }, [path]);
+    setWin({ title: path ? `${t("app.notepad")} — ${path.split("/").pop()}` : t("app.notepad") });
+  }, [path, sys.language]);
 
   const save = () => {
     if (!path) {
-      const name = prompt("Salvar como:", "nota.txt");
+      const name = prompt(t("editor.saveAs"), t("notepad.defaultName"));
       if (!name) return;
-      sys.fsCreate("/Documents", name, "file", text);
-      setPath(`/Documents/${name}`);
-      sys.notify("Arquivo salvo em /Documents");
+      let saved;
+      try {
+        saved = sys.fsCreate("/Documents", name, "file", text);
+      } catch (e) {
+        return sys.notify(e.message, { level: "error" });
+      }
+      setPath(`/Documents/${saved}`);
+      sys.notify(t("editor.savedIn", { path: "/Documents" }), { level: "success", actions: [{ label: t("editor.openFolder"), path: "/Documents" }] });
     } else {
-      const root = clone(sys.fsRoot);
-      const node = findNode(path, root);
-      if (node) node.content = text;
-      sys.setFsRoot(root);
-      sys.notify("Alterações salvas");
+      try {
+        sys.fsWrite(path, text, { source: win.id });
+        sync.markSaved(text);
+        sys.notify(t("editor.changesSaved"));
+      } catch (e) { sys.notify(e.message, { level: "error" }); }
     }
   };
+  useShortcut(sys, win, "notepad.save", save);
+
+  // Restoring a revision is saved as a new revision
+  const restore = (content) => {
+    setText(content);
+    try {
+      sys.fsWrite(path, content, { source: win.id });
+      sync.markSaved(content);
+      sys.notify(t("editor.versionRestored"));
+    } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
 
   return (
     <div className="h-full flex flex-col gap-2">
       <div className="flex gap-2">
-        <button onClick={save} className="px-3 py-1 rounded-lg bg-[var(--yatrz-accent)]/30">Salvar</button>
-        <button onClick={() => setPath(null)} className="px-3 py-1 rounded-lg bg-white/30 dark:bg-white/10">Novo</button>
+        <button onClick={save} className="px-3 py-1 rounded-lg bg-[var(--yatrz-accent)]/30">{t("editor.save")}</button>
+        <button onClick={() => setPath(null)} className="px-3 py-1 rounded-lg bg-white/30 dark:bg-white/10">{t("editor.new")}</button>
+        {path && <button onClick={() => setShowHistory((v) => !v)} className="px-3 py-1 rounded-lg bg-white/30 dark:bg-white/10">{t("editor.history")}</button>}
+      </div>
+      <FileSyncBanner sync={sync} />
+      <div className="flex-1 min-h-0 flex gap-2">
+        <textarea value={text} onChange={(e)=>setText(e.target.value)} className="flex-1 w-full rounded-xl p-3 bg-white dark:bg-neutral-900 outline-none" placeholder={t("notepad.placeholder")} />
+        {showHistory && path && (
+          <div className="w-1/2 min-w-0">
+            <HistoryPanel node={sys.findNode(path)} current={text} onRestore={restore} onClose={() => setShowHistory(false)} />
+          </div>
+        )}
       </div>
-      <textarea value={text} onChange={(e)=>setText(e.target.value)} className="flex-1 w-full rounded-xl p-3 bg-white dark:bg-neutral-900 outline-none" placeholder="Escreva suas notas aqui..." />
     </div>
   );
 }
 
 // Markdown Editor
 function MarkdownApp({ win, setWin, sys }) {
-  const [path, setPath] = useState(win.payload?.path || null);
-  const [text, setText] = useState("# Olá, Markdown!\n\n- Escreva à esquerda\n- Veja a prévia à direita\n\n**Yatrz** ❤️");
+  const [path, setPath] = useWindowState(win, setWin, "path", win.payload?.path || null);
+  const [text, setText] = useState(() => t("markdown.sample"));
+  const [showHistory, setShowHistory] = useState(false);
+  const sync = useFileSync({
+    sys, win, path, setPath, text,
+    onLoad: (node) => {
+      if (node?.content) setText(node.content);
+    },
+  });
 
   useEffect(() => {
-    if (path) {
-      const node = sys.findNode(path);
-      if (node?.content) setText(node.content);
-      setWin({ title: `Markdown — ${path.split("/").pop()}` });
-    } else setWin({ title: "Markdown Editor" });
-  }, [path]);
+    setWin({ title: path ? `Markdown — ${path.split("/").pop()}` : t("app.markdown") });
+  }, [path, sys.language]);
 
   const save = () => {
     if (!path) {
-      const name = prompt("Salvar como:", "documento.md");
+      const name = prompt(t("editor.saveAs"), t("markdown.defaultName"));
       if (!name) return;
-      sys.fsCreate("/Documents", name, "file", text);
-      setPath(`/Documents/${name}`);
-      sys.notify("Arquivo salvo");
+      let saved;
+      try {
+        saved = sys.fsCreate("/Documents", name, "file", text);
+      } catch (e) {
+        return sys.notify(e.message, { level: "error" });
+      }
+      setPath(`/Documents/${saved}`);
+      sys.notify(t("editor.saved"));
     } else {
-      const root = clone(sys.fsRoot);
-      const node = findNode(path, root);
-      if (node) node.content = text;
-      sys.setFsRoot(root);
-      sys.notify("Alterações salvas");
+      try {
+        sys.fsWrite(path, text, { source: win.id });
+        sync.markSaved(text);
+        sys.notify(t("editor.changesSaved"));
+      } catch (e) { sys.notify(e.message, { level: "error" }); }
     }
   };
+  useShortcut(sys, win, "markdown.save", save);
+
+  const restore = (content) => {
+    setText(content);
+    try {
+      sys.fsWrite(path, content, { source: win.id });
+      sync.markSaved(content);
+      sys.notify(t("editor.versionRestored"));
+    } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
 
   return (
     <div className="h-full grid grid-cols-1 md:grid-cols-2 gap-2">
       <div className="flex flex-col gap-2">
         <div className="flex gap-2">
-          <button onClick={save} className="px-3 py-1 rounded-lg bg-[var(--yatrz-accent)]/30">Salvar</button>
+          <button onClick={save} className="px-3 py-1 rounded-lg bg-[var(--yatrz-accent)]/30">{t("editor.save")}</button>
+          {path && <button onClick={() => setShowHistory((v) => !v)} className="px-3 py-1 rounded-lg bg-white/30 dark:bg-white/10">{t("editor.history")}</button>}
         </div>
+        <FileSyncBanner sync={sync} />
         <textarea value={text} onChange={(e)=>setText(e.target.value)} className="flex-1 w-full rounded-xl p-3 bg-white dark:bg-neutral-900 outline-none font-mono text-sm" />
       </div>
-      <div className="rounded-xl p-3 bg-white dark:bg-neutral-900 prose prose-sm dark:prose-invert max-w-none overflow-auto" dangerouslySetInnerHTML={{ __html: renderMarkdown(text) }} />
+      {showHistory && path ? (
+        <HistoryPanel node={sys.findNode(path)} current={text} onRestore={restore} onClose={() => setShowHistory(false)} />
+      ) : (
+        <div className="rounded-xl p-3 bg-white dark:bg-neutral-900 prose prose-sm dark:prose-invert max-w-none overflow-auto" dangerouslySetInnerHTML={{ __html: renderMarkdown(text) }} />
+      )}
+    </div>
+  );
+}
+
+// Line diff (LCS) from `a` to `b`: [{ op: " " | "-" | "+", line }]
+function diffLines(a, b) {
+  const x = a.split("\n");
+  const y = b.split("\n");
+  // Very large inputs: skip the quadratic table and show a full replace
+  if (x.length * y.length > 4e6) {
+    return [...x.map((line) => ({ op: "-", line })), ...y.map((line) => ({ op: "+", line }))];
+  }
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) { out.push({ op: " ", line: x[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ op: "-", line: x[i++] });
+    else out.push({ op: "+", line: y[j++] });
+  }
+  while (i < x.length) out.push({ op: "-", line: x[i++] });
+  while (j < y.length) out.push({ op: "+", line: y[j++] });
+  return out;
+}
+
+// Keeps an editor bound to its file through `sys.watch`: follows renames/moves,
+// reloads external changes when the buffer is clean and flags a conflict when
+// it is not. `onLoad(node)` puts the file content into the editor.
+function useFileSync({ sys, win, path, setPath, text, onLoad }) {
+  const saved = useRef(null); // file content the buffer was last in sync with
+  const textRef = useRef(text);
+  textRef.current = text;
+  const skipLoad = useRef(false);
+  const [conflict, setConflict] = useState(null); // null | "change" | "delete"
+
+  const load = () => {
+    const node = sys.findNode(path);
+    saved.current = node?.content ?? null;
+    onLoad(node);
+  };
+
+  // Opening another file loads it; following a rename or a delete keeps the buffer
+  useEffect(() => {
+    if (skipLoad.current) {
+      skipLoad.current = false;
+      return;
+    }
+    setConflict(null);
+    if (path) load();
+  }, [path]);
+
+  useEffect(() => {
+    if (!path) return;
+    return sys.watch(path, (ev) => {
+      if (ev.type === "rename" || ev.type === "move") {
+        const moved = rebasePath(path, ev.path, ev.newPath);
+        if (moved) {
+          skipLoad.current = true;
+          setPath(moved);
+        }
+      } else if (ev.type === "delete" && isWithin(path, ev.path)) {
+        // The buffer survives; the next save asks for a new name
+        skipLoad.current = true;
+        saved.current = null;
+        setConflict("delete");
+        setPath(null);
+      } else if (ev.type === "change" && ev.path === path && ev.source !== win.id) {
+        const node = sys.findNode(path);
+        if (!node || node.content === textRef.current) saved.current = node?.content ?? null;
+        else if (textRef.current === saved.current) {
+          saved.current = node.content;
+          onLoad(node);
+        } else setConflict("change");
+      }
+    });
+  }, [path]);
+
+  return {
+    conflict,
+    reload: () => {
+      load();
+      setConflict(null);
+    },
+    dismiss: () => setConflict(null),
+    markSaved: (content) => {
+      saved.current = content;
+      setConflict(null);
+    },
+  };
+}
+
+function FileSyncBanner({ sync }) {
+  if (!sync.conflict) return null;
+  const changed = sync.conflict === "change";
+  return (
+    <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-amber-500/20 text-sm">
+      <span className="flex-1">
+        {changed
+          ? t("editor.changedOutside")
+          : t("editor.deletedOutside")}
+      </span>
+      {changed && <button onClick={sync.reload} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("editor.reload")}</button>}
+      <button onClick={sync.dismiss} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{changed ? t("editor.keepMine") : "OK"}</button>
+    </div>
+  );
+}
+
+// Revision list for the open file with a diff against the editor text
+function HistoryPanel({ node, current, onRestore, onClose }) {
+  const revisions = [...(node?.revisions || [])].reverse();
+  const [idx, setIdx] = useState(0);
+  const rev = revisions[idx];
+  const diff = useMemo(() => (rev ? diffLines(rev.content, current) : []), [rev, current]);
+
+  return (
+    <div className="h-full min-h-0 flex flex-col gap-2 rounded-xl p-2 bg-white dark:bg-neutral-900 text-sm">
+      <div className="flex items-center gap-2">
+        <span className="font-semibold flex-1">{t("editor.history")} ({revisions.length})</span>
+        {rev && <button onClick={() => onRestore(rev.content)} className="px-2 py-1 rounded-lg bg-[var(--yatrz-accent)]/30">{t("editor.restore")}</button>}
+        <button onClick={onClose} className="px-2 py-1 rounded-lg bg-white/30 dark:bg-white/10">✖</button>
+      </div>
+      {!revisions.length ? (
+        <div className="text-neutral-500">{t("editor.noRevisions")}</div>
+      ) : (
+        <>
+          <select value={idx} onChange={(e) => setIdx(Number(e.target.value))} className="px-2 py-1 rounded-lg bg-white/60 dark:bg-white/10 outline-none">
+            {revisions.map((r, i) => (
+              <option key={r.ts + ":" + i} value={i}>{formatDate(r.ts)} · {formatSize(contentSize(r.content))}</option>
+            ))}
+          </select>
+          <pre className="flex-1 overflow-auto font-mono text-xs">
+            {diff.map((d, i) => (
+              <div key={i} className={cx(d.op === "+" && "bg-emerald-500/20", d.op === "-" && "bg-rose-500/20")}>
+                {d.op} {d.line}
+              </div>
+            ))}
+          </pre>
+        </>
+      )}
     </div>
   );
 }
@@ -919,9 +5434,9 @@ function CalculatorApp() {
 }
 
 // Browser (sandboxed)
-function BrowserApp({ win, setWin }) {
-  const [url, setUrl] = useState("https://example.org");
-  useEffect(() => setWin({ title: `Navegador — ${url}` }), [url]);
+function BrowserApp({ win, setWin, sys }) {
+  const [url, setUrl] = useWindowState(win, setWin, "url", win.payload?.url || "https://example.org");
+  useEffect(() => setWin({ title: `${t("app.browser")} — ${url}` }), [url, sys.language]);
   const go = () => {
     let u = url.trim();
     if (!/^https?:\/\//i.test(u)) u = "https://" + u;
@@ -931,7 +5446,7 @@ function BrowserApp({ win, setWin }) {
     <div className="h-full flex flex-col gap-2">
       <div className="flex gap-2">
         <input value={url} onChange={(e)=>setUrl(e.target.value)} className="flex-1 px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none" />
-        <button onClick={go} className="px-3 py-2 rounded-xl bg-[var(--yatrz-accent)]/30">Ir</button>
+        <button onClick={go} className="px-3 py-2 rounded-xl bg-[var(--yatrz-accent)]/30">{t("browser.go")}</button>
       </div>
       <iframe title="web" src={url} sandbox="allow-same-origin allow-scripts allow-forms allow-popups" className="flex-1 w-full rounded-xl bg-white"></iframe>
     </div>
@@ -939,43 +5454,217 @@ function BrowserApp({ win, setWin }) {
 }
 
 // Files
-function FilesApp({ sys }) {
-  const [cwd, setCwd] = useState("/");
-  const [sel, setSel] = useState(null);
+const FILE_COLUMNS = [
+  { key: "name", label: "props.name", value: (c) => c.name.toLowerCase() },
+  { key: "mtime", label: "props.mtime", value: (c) => c.mtime || 0 },
+  { key: "mime", label: "props.mime", value: (c) => nodeMime(c) },
+  { key: "size", label: "props.size", value: (c) => (c.type === "dir" ? -1 : nodeSize(c)) },
+];
+
+function sortEntries(children, sort) {
+  const col = FILE_COLUMNS.find((c) => c.key === sort.key) || FILE_COLUMNS[0];
+  return [...children].sort((a, b) => {
+    if (a.type !== b.type) return a.type === "dir" ? -1 : 1; // folders first
+    const va = col.value(a);
+    const vb = col.value(b);
+    const r = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+    return r * sort.dir;
+  });
+}
+
+function FilesApp({ win, setWin, sys }) {
+  const [cwd, setCwd] = useWindowState(win, setWin, "cwd", win.payload?.path || "/");
+  const [sel, setSel] = useState(win.payload?.select ? [win.payload.select] : []); // selected names
+  const anchor = useRef(null); // last plainly clicked name, for Shift ranges
+  const [view, setView] = useState("grid"); // grid | details
+  const [sort, setSort] = useState({ key: "name", dir: 1 });
+  const [showProps, setShowProps] = useState(!!win.payload?.props);
+  const [menu, setMenu] = useState(null); // { x, y, items }
   const dir = sys.findNode(cwd) || { type: "dir", children: [] };
+  const entries = sortEntries(dir.children || [], sort);
+  const selNodes = entries.filter((c) => sel.includes(c.name));
+  const selected = selNodes.length === 1 ? selNodes[0] : null;
+  const pathOf = (name) => childPath(cwd, name);
+
+  // Selection is per folder (the initial one may come from the launch payload)
+  const firstCwd = useRef(true);
+  useEffect(() => {
+    if (firstCwd.current) firstCwd.current = false;
+    else setSel([]);
+  }, [cwd]);
+
+  const sortBy = (key) => setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+
+  // Click selects, Ctrl/⌘ toggles, Shift extends from the last clicked item
+  const clickItem = (e, name) => {
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (e.shiftKey && anchor.current) {
+      const names = entries.map((c) => c.name);
+      const a = names.indexOf(anchor.current);
+      const b = names.indexOf(name);
+      if (a >= 0 && b >= 0) {
+        const range = names.slice(Math.min(a, b), Math.max(a, b) + 1);
+        return setSel((s) => (ctrl ? [...new Set([...s, ...range])] : range));
+      }
+    }
+    anchor.current = name;
+    if (ctrl) setSel((s) => (s.includes(name) ? s.filter((n) => n !== name) : [...s, name]));
+    else setSel([name]);
+  };
+
+  // Rubber-band selection (mouse/pen) by dragging on empty space
+  const area = useRef(null);
+  const [band, setBand] = useState(null); // { x0, y0, x1, y1, base } in scroll-content coordinates
+  const bandPoint = (e) => {
+    const r = area.current.getBoundingClientRect();
+    return { x: e.clientX - r.left + area.current.scrollLeft, y: e.clientY - r.top + area.current.scrollTop };
+  };
+  const startBand = (e) => {
+    if (e.button !== 0 || e.pointerType === "touch" || e.target.closest("[data-name]")) return;
+    const p = bandPoint(e);
+    const base = e.ctrlKey || e.metaKey || e.shiftKey ? sel : [];
+    setBand({ x0: p.x, y0: p.y, x1: p.x, y1: p.y, base });
+    setSel(base);
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const moveBand = (e) => {
+    if (!band) return;
+    const p = bandPoint(e);
+    const next = { ...band, x1: p.x, y1: p.y };
+    setBand(next);
+    const r = area.current.getBoundingClientRect();
+    const left = Math.min(next.x0, next.x1) - area.current.scrollLeft + r.left;
+    const top = Math.min(next.y0, next.y1) - area.current.scrollTop + r.top;
+    const right = left + Math.abs(next.x1 - next.x0);
+    const bottom = top + Math.abs(next.y1 - next.y0);
+    const hit = [...area.current.querySelectorAll("[data-name]")]
+      .filter((el) => {
+        const b = el.getBoundingClientRect();
+        return b.left < right && b.right > left && b.top < bottom && b.bottom > top;
+      })
+      .map((el) => el.dataset.name);
+    setSel([...new Set([...band.base, ...hit])]);
+  };
+  const endBand = () => setBand(null);
 
   const open = (item) => {
-    if (item.type === "dir") setCwd(normPath(cwd + "/" + item.name));
-    else {
-      // open with associated app
-      const name = item.name.toLowerCase();
-      const app = Object.values(builtinApps).find((a) => a.accepts?.some((ext) => name.endsWith(ext)));
-      if (app) sys.launch(app.id, { path: normPath(cwd + "/" + item.name) }, item.name);
-      else sys.launch("notepad", { path: normPath(cwd + "/" + item.name) }, item.name);
+    if (item.type === "dir") return setCwd(pathOf(item.name));
+    // Shortcuts to folders navigate in place
+    const target = item.type === "link" && item.target?.kind === "path" ? sys.findNode(item.target.path) : null;
+    if (target?.type === "dir") return setCwd(item.target.path);
+    try { sys.openPath(pathOf(item.name)); } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
+
+  const sendToDesktop = () => {
+    for (const node of selNodes) {
+      const target = node.type === "link" ? node.target : { kind: "path", path: pathOf(node.name) };
+      sys.createShortcut(target, node.name);
     }
+    if (selNodes.length) sys.notify(t("start.sentToDesktop", { name: describe(selNodes.map((c) => c.name)) }));
   };
 
   const mk = (type) => {
-    const name = prompt(type === "dir" ? "Nome da pasta:" : "Nome do arquivo:", type === "dir" ? "Nova Pasta" : "novo.txt");
+    const name = prompt(type === "dir" ? t("files.folderNamePrompt") : t("files.fileNamePrompt"), type === "dir" ? t("files.newFolderName") : t("files.newFileName"));
+    if (!name) return;
+    try {
+      setSel([sys.fsCreate(cwd, name, type, type === "file" ? "" : undefined)]);
+    } catch (e) { sys.notify(e.message, { level: "error" }); }
+  };
+
+  const inTrash = cwd === TRASH_PATH || isInTrash(cwd); // the Trash or a folder inside it
+  const describe = (names) => (names.length === 1 ? names[0] : t("files.nItems", { count: names.length }));
+
+  const del = (names = sel) => {
+    if (!names.length) return;
+    // Items already in the trash are removed permanently
+    if (inTrash && !confirm(t("files.confirmDelete", { name: describe(names) }))) return;
+    try {
+      names.forEach((n) => sys.fsDelete(pathOf(n)));
+      if (!inTrash) sys.notify(t("files.movedToTrash", { name: describe(names) }));
+    } catch (e) { sys.notify(e.message, { level: "error" }); }
+    setSel([]);
+  };
+
+  const restore = () => {
+    try {
+      for (const n of sel) sys.notify(t("files.restoredTo", { path: sys.fsRestore(n) }));
+    } catch (e) { sys.notify(e.message, { level: "error" }); }
+    setSel([]);
+  };
+
+  const emptyTrash = () => {
+    if (!confirm(t("files.confirmEmptyTrash"))) return;
+    sys.fsEmptyTrash();
+    setSel([]);
+  };
+
+  const rename = (name = selected?.name) => {
     if (!name) return;
+    const nn = prompt(t("files.renamePrompt"), name);
+    if (!nn || nn === name) return;
     try {
-      sys.fsCreate(cwd, name, type, type === "file" ? "" : undefined);
-    } catch (e) { sys.notify(e.message); }
+      sys.fsRename(pathOf(name), nn);
+      setSel([nn]);
+    } catch (e) { sys.notify(e.message, { level: "error" }); }
   };
 
-  const del = () => {
-    if (!sel) return;
-    if (!confirm(`Deletar ${sel}?`)) return;
-    sys.fsDelete(normPath(cwd + "/" + sel));
-    setSel(null);
+  // Clipboard (shared with other Files windows and the Desktop)
+  const toClipboard = (mode, names = sel) => names.length && sys.setClipboard({ mode, paths: names.map(pathOf) });
+  const paste = () => {
+    if (!sys.clipboard || inTrash) return;
+    const { mode, paths } = sys.clipboard;
+    const names = transferPaths(sys, paths, cwd, mode === "cut" ? "move" : "copy");
+    if (mode === "cut") sys.setClipboard(null);
+    setSel(names);
   };
 
-  const rename = () => {
-    if (!sel) return;
-    const nn = prompt("Novo nome:", sel);
-    if (!nn) return;
-    sys.fsRename(normPath(cwd + "/" + sel), nn);
-    setSel(nn);
+  useShortcut(sys, win, "files.copy", () => toClipboard("copy"));
+  useShortcut(sys, win, "files.cut", () => toClipboard("cut"));
+  useShortcut(sys, win, "files.paste", paste);
+  useShortcut(sys, win, "files.selectAll", () => setSel(entries.map((c) => c.name)));
+  useShortcut(sys, win, "files.delete", () => del());
+  useShortcut(sys, win, "files.rename", () => rename());
+
+  // Right-click (or long-press, or the Menu key) on an item acts on the selection it belongs to;
+  // on empty space it targets the folder
+  const itemMenu = (e, c) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showItemMenu({ x: e.clientX, y: e.clientY }, c);
+  };
+  const showItemMenu = ({ x, y }, c) => {
+    const names = sel.includes(c.name) ? sel : [c.name];
+    setSel(names);
+    setMenu({
+      x,
+      y,
+      items: fileMenuItems(sys, pathOf(c.name), {
+        rename: () => rename(c.name),
+        remove: () => del(names),
+        properties: () => setShowProps(true),
+        copy: () => toClipboard("copy", names),
+        cut: () => toClipboard("cut", names),
+      }),
+    });
+  };
+  const folderMenu = (e) => {
+    e.preventDefault();
+    setSel([]);
+    const items = inTrash
+      ? [{ label: t("files.emptyTrash"), danger: true, onSelect: emptyTrash }]
+      : withContributions(
+        [
+          { label: t("files.newFolder"), onSelect: () => mk("dir") },
+          { label: t("files.newFile"), onSelect: () => mk("file") },
+          { label: t("shortcut.paste"), disabled: !sys.clipboard, onSelect: paste },
+          { label: `${t("files.import")}…`, onSelect: () => picker.current?.click() },
+          "-",
+          { label: t("shortcut.selectAll"), onSelect: () => setSel(entries.map((c) => c.name)) },
+          { label: t("files.properties"), onSelect: () => setShowProps(true) },
+        ],
+        sys.menuContributions("file", { path: cwd, node: dir })
+      );
+    setMenu({ x: e.clientX, y: e.clientY, items });
   };
 
   const up = () => {
@@ -985,93 +5674,468 @@ function FilesApp({ sys }) {
     setCwd("/" + parts.join("/"));
   };
 
+  // Host transfer: picker/drop import into cwd, download selection (folders as .zip)
+  const picker = useRef(null);
+  const [dropping, setDropping] = useState(null); // folder path highlighted as the drop target
+
+  const importFiles = async (files, dst = cwd) => {
+    try {
+      const names = await importHostFiles(sys, dst, files);
+      if (names.length) {
+        const actions = names.length === 1 ? [{ label: t("files.openFile"), path: childPath(dst, names[0]) }] : [];
+        sys.notify(t("files.imported", { count: names.length, path: dst }), { level: "success", actions });
+      }
+    } catch (e) { sys.notify(t("files.importFailed", { error: e.message }), { level: "error" }); }
+  };
+
+  // Drags carry the whole selection; drops land in cwd or in the folder under the pointer
+  const dragStart = (e, c) => {
+    const names = sel.includes(c.name) ? sel : [c.name];
+    if (!sel.includes(c.name)) setSel(names);
+    setDragPaths(e, names.map(pathOf));
+  };
+  const dragOver = (e, dst) => {
+    const host = hasHostFiles(e);
+    if (isInTrash(dst) || (!(host && dst !== TRASH_PATH) && !hasDragPaths(e))) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = host ? "copy" : dropMode(e);
+    setDropping(dst);
+  };
+  const drop = (e, dst) => {
+    setDropping(null);
+    if (hasDragPaths(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      const names = transferPaths(sys, dragPaths(e), dst, dropMode(e));
+      if (dst === cwd) setSel(names);
+      return;
+    }
+    if (!hasHostFiles(e) || dst === TRASH_PATH) return;
+    e.preventDefault();
+    e.stopPropagation();
+    importFiles(e.dataTransfer.files, dst);
+  };
+  // Folders in the listing are drop targets too
+  const dropProps = (c) =>
+    c.type === "dir"
+      ? { onDragOver: (e) => dragOver(e, pathOf(c.name)), onDragLeave: () => setDropping(null), onDrop: (e) => drop(e, pathOf(c.name)) }
+      : {};
+
+  const download = () => {
+    // Several items download together as one .zip named after the folder
+    const node = selected || (selNodes.length ? { ...dir, name: dir.name || "yatrz", children: selNodes } : dir);
+    downloadNode(node).catch((e) => sys.notify(t("files.downloadFailed", { error: e.message }), { level: "error" }));
+  };
+
+  const isCut = (name) => sys.clipboard?.mode === "cut" && sys.clipboard.paths.includes(pathOf(name));
+
+  // Keyboard: arrows move and select (Shift extends, Ctrl only moves), Space toggles, Enter opens.
+  // Only one item is in the tab order: the first selected one, or the first item.
+  const tabStop = sel.find((n) => entries.some((c) => c.name === n)) ?? entries[0]?.name;
+  const onItemKey = (e) => {
+    const el = e.target.closest("[data-name]");
+    const c = el && entries.find((n) => n.name === el.dataset.name);
+    if (!c) return;
+    if (e.key === "Enter") {
+      e.preventDefault();
+      open(c);
+    } else if (e.key === " ") {
+      e.preventDefault();
+      clickItem({ ctrlKey: true }, c.name);
+    } else if (isMenuKey(e)) {
+      e.preventDefault();
+      showItemMenu(menuPoint(el), c);
+    } else {
+      const next = moveFocus(e, area.current, "[data-name]");
+      if (next && !(e.ctrlKey || e.metaKey)) clickItem({ shiftKey: e.shiftKey }, next.dataset.name);
+    }
+  };
+
   return (
     <div className="h-full flex flex-col">
-      <div className="flex items-center gap-2 mb-2">
-        <button onClick={up} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">⬆</button>
+      <div className="flex items-center gap-2 mb-2" role="toolbar" aria-label={t("app.files")}>
+        <button onClick={up} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("files.up")} aria-label={t("files.up")}>⬆</button>
         <div className="px-2 py-1 rounded-lg bg-white/60 dark:bg-white/10 font-mono text-sm">{cwd}</div>
         <div className="flex-1" />
-        <button onClick={()=>mk("dir")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">Nova pasta</button>
-        <button onClick={()=>mk("file")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">Novo arquivo</button>
-        <button onClick={rename} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">Renomear</button>
-        <button onClick={del} className="px-2 py-1 rounded-lg bg-rose-500/30">Excluir</button>
+        {inTrash ? (
+          <>
+            {cwd === TRASH_PATH && <button onClick={restore} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("files.restore")}</button>}
+            <button onClick={() => del()} className="px-2 py-1 rounded-lg bg-rose-500/30">{t("files.deletePermanently")}</button>
+            <button onClick={emptyTrash} className="px-2 py-1 rounded-lg bg-rose-500/30">{t("files.emptyTrash")}</button>
+          </>
+        ) : (
+          <>
+            <button onClick={()=>mk("dir")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("files.newFolder")}</button>
+            <button onClick={()=>mk("file")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("files.newFile")}</button>
+            <button onClick={() => rename()} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("shortcut.rename")}</button>
+            <button onClick={() => del()} className="px-2 py-1 rounded-lg bg-rose-500/30">{t("shortcut.delete")}</button>
+            <button onClick={() => toClipboard("cut")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("shortcut.cut")}>✂</button>
+            <button onClick={() => toClipboard("copy")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("shortcut.copy")}>⧉</button>
+            <button onClick={paste} disabled={!sys.clipboard} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10 disabled:opacity-40" title={t("shortcut.paste")}>📋</button>
+            <button onClick={sendToDesktop} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("files.sendToDesktop")}>📌</button>
+            <button onClick={()=>picker.current?.click()} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("files.import")}</button>
+            <input ref={picker} type="file" multiple hidden onChange={(e)=>{ importFiles(e.target.files); e.target.value = ""; }} />
+          </>
+        )}
+        <button onClick={download} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={selected ? t("files.download", { name: selected.name }) : selNodes.length ? t("files.downloadSelection") : t("files.downloadFolder")}>⤓</button>
+        <button onClick={()=>setView(view === "grid" ? "details" : "grid")} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("files.toggleView")}>{view === "grid" ? "☰" : "▦"}</button>
+        <button onClick={()=>setShowProps((v)=>!v)} className={cx("px-2 py-1 rounded-lg", showProps ? "bg-[var(--yatrz-accent)]/30" : "bg-white/40 dark:bg-white/10")} title={t("files.properties")}>ℹ</button>
       </div>
-      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">
-        {dir.children?.map((c) => (
-          <button key={c.name} onDoubleClick={()=>open(c)} onClick={()=>setSel(c.name)} className={cx("flex flex-col items-center gap-1 p-2 rounded-xl hover:bg-white/40 dark:hover:bg-white/10", sel===c.name && "ring-2 ring-[var(--yatrz-accent)]")}> 
-            <div className="text-3xl">{c.type === "dir" ? "📁" : "📄"}</div>
-            <div className="text-xs truncate w-full text-center">{c.name}</div>
-          </button>
-        ))}
+      <div className="flex-1 min-h-0 flex gap-2">
+        <div
+          ref={area}
+          className={cx("relative flex-1 overflow-auto rounded-xl select-none", dropping === cwd && "outline-dashed outline-2 outline-[var(--yatrz-accent)]")}
+          onDragOver={(e) => dragOver(e, cwd)}
+          onDragLeave={() => setDropping(null)}
+          onDrop={(e) => drop(e, cwd)}
+          onContextMenu={folderMenu}
+          onPointerDown={startBand}
+          onPointerMove={moveBand}
+          onPointerUp={endBand}
+          onPointerCancel={endBand}
+          onKeyDown={onItemKey}
+        >
+          {view === "grid" ? (
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2" role="listbox" aria-multiselectable="true" aria-label={cwd}>
+              {entries.map((c) => (
+                <button
+                  key={c.name}
+                  data-name={c.name}
+                  role="option"
+                  aria-selected={sel.includes(c.name)}
+                  tabIndex={c.name === tabStop ? 0 : -1}
+                  draggable
+                  onDragStart={(e) => dragStart(e, c)}
+                  {...dropProps(c)}
+                  onDoubleClick={()=>open(c)}
+                  onClick={(e)=>clickItem(e, c.name)}
+                  onContextMenu={(e)=>itemMenu(e, c)}
+                  className={cx(
+                    "flex flex-col items-center gap-1 p-2 rounded-xl hover:bg-white/40 dark:hover:bg-white/10",
+                    sel.includes(c.name) && "ring-2 ring-[var(--yatrz-accent)]",
+                    dropping === pathOf(c.name) && "bg-[var(--yatrz-accent)]/20",
+                    isCut(c.name) && "opacity-50"
+                  )}
+                >
+                  <div className="text-3xl" aria-hidden="true">{fileIcon(c, { apps: sys.apps, root: sys.fsRoot })}</div>
+                  <div className="text-xs truncate w-full text-center">{c.name}</div>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <table className="w-full text-sm" role="grid" aria-multiselectable="true" aria-label={cwd}>
+              <thead>
+                <tr className="text-left text-neutral-500">
+                  {FILE_COLUMNS.map((col) => (
+                    <th
+                      key={col.key}
+                      className="px-2 py-1 font-medium cursor-pointer select-none"
+                      onClick={()=>sortBy(col.key)}
+                      aria-sort={sort.key === col.key ? (sort.dir > 0 ? "ascending" : "descending") : undefined}
+                    >
+                      {t(col.label)}{sort.key === col.key && (sort.dir > 0 ? " ▲" : " ▼")}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((c) => (
+                  <tr
+                    key={c.name}
+                    data-name={c.name}
+                    aria-selected={sel.includes(c.name)}
+                    tabIndex={c.name === tabStop ? 0 : -1}
+                    draggable
+                    onDragStart={(e) => dragStart(e, c)}
+                    {...dropProps(c)}
+                    onDoubleClick={()=>open(c)}
+                    onClick={(e)=>clickItem(e, c.name)}
+                    onContextMenu={(e)=>itemMenu(e, c)}
+                    className={cx(
+                      "cursor-default outline-none hover:bg-white/40 dark:hover:bg-white/10 focus-visible:ring-2 ring-inset ring-[var(--yatrz-accent)]",
+                      (sel.includes(c.name) || dropping === pathOf(c.name)) && "bg-[var(--yatrz-accent)]/20",
+                      isCut(c.name) && "opacity-50"
+                    )}
+                  >
+                    <td className="px-2 py-1 truncate max-w-[16rem]">{fileIcon(c, { apps: sys.apps, root: sys.fsRoot })} {c.name}</td>
+                    <td className="px-2 py-1 whitespace-nowrap tabular-nums">{formatDate(c.mtime)}</td>
+                    <td className="px-2 py-1 whitespace-nowrap text-neutral-500">{nodeMime(c)}</td>
+                    <td className="px-2 py-1 whitespace-nowrap tabular-nums text-right">{c.type === "dir" ? t("files.nItems", { count: c.children.length }) : formatSize(nodeSize(c))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {band && (
+            <div
+              className="absolute pointer-events-none border border-[var(--yatrz-accent)] bg-[var(--yatrz-accent)]/15"
+              style={{
+                left: Math.min(band.x0, band.x1),
+                top: Math.min(band.y0, band.y1),
+                width: Math.abs(band.x1 - band.x0),
+                height: Math.abs(band.y1 - band.y0),
+              }}
+            />
+          )}
+        </div>
+        {showProps && <PropertiesPanel node={selected || dir} path={selected ? pathOf(selected.name) : cwd} sys={sys} />}
+      </div>
+      <div className="pt-1 text-xs text-neutral-500 flex gap-3">
+        <span>{t("files.statusItems", { count: entries.length })}</span>
+        {sel.length > 0 && <span>{t("files.statusSelected", { count: sel.length })}</span>}
+        {sys.clipboard && <span>{t(sys.clipboard.mode === "cut" ? "files.statusCut" : "files.statusCopied", { count: sys.clipboard.paths.length })}</span>}
+      </div>
+      {menu && <ContextMenu x={menu.x} y={menu.y} items={menu.items} onClose={() => setMenu(null)} />}
+    </div>
+  );
+}
+
+function PropertiesPanel({ node, path, sys }) {
+  const target = node.target && (node.target.kind === "app" ? `app: ${node.target.id}` : node.target.path);
+  const rows = [
+    [t("props.name"), node.name],
+    [t("props.location"), path],
+    [t("props.mime"), nodeMime(node)],
+    [t("props.size"), formatSize(nodeSize(node))],
+    node.type === "link" && [t("props.target"), target],
+    node.type === "dir" && [t("props.items"), node.children.length],
+    [t("props.ctime"), formatDate(node.ctime)],
+    [t("props.mtime"), formatDate(node.mtime)],
+    node.trash && [t("props.deletedFrom"), node.trash.from],
+    node.trash && [t("props.deletedAt"), formatDate(node.trash.deletedAt)],
+  ].filter(Boolean);
+  return (
+    <aside className="w-56 shrink-0 p-3 rounded-xl bg-white/60 dark:bg-white/5 text-sm space-y-2 overflow-auto">
+      <div className="text-3xl">{fileIcon(node, { apps: sys.apps, root: sys.fsRoot })}</div>
+      {rows.map(([label, value]) => (
+        <div key={label}>
+          <div className="text-xs text-neutral-500">{label}</div>
+          <div className="break-all">{value}</div>
+        </div>
+      ))}
+    </aside>
+  );
+}
+
+// Image Viewer
+function ImageViewerApp({ win, setWin, sys }) {
+  const [path, setPath] = useWindowState(win, setWin, "path", win.payload?.path || null);
+  const [zoom, setZoom] = useState("fit"); // "fit" or a scale factor
+  const [natural, setNatural] = useState({ w: 0, h: 0 });
+  const [url, setUrl] = useState(null);
+  const node = path ? sys.findNode(path) : null;
+
+  const dirPath = path ? parentPath(path) : "/";
+  const siblings = (sys.findNode(dirPath)?.children || [])
+    .filter((c) => c.type === "file" && isImageName(c.name))
+    .map((c) => c.name)
+    .sort((a, b) => a.localeCompare(b));
+  const index = node ? siblings.indexOf(node.name) : -1;
+
+  useEffect(() => {
+    if (!node || node.type !== "file") return setUrl(null);
+    const u = URL.createObjectURL(nodeBlob(node));
+    setUrl(u);
+    return () => URL.revokeObjectURL(u);
+  }, [node?.data, node?.content, node?.mime]);
+
+  useEffect(() => {
+    setWin({ title: path ? `${t("images.title")} — ${path.split("/").pop()}` : t("app.images") });
+  }, [path, sys.language]);
+
+  const step = (delta) => {
+    if (!siblings.length) return;
+    const next = siblings[(index + delta + siblings.length) % siblings.length];
+    setPath(childPath(dirPath, next));
+    setZoom("fit");
+  };
+  const scale = zoom === "fit" ? null : zoom;
+  const zoomBy = (f) => setZoom((z) => Math.min(16, Math.max(0.05, (z === "fit" ? 1 : z) * f)));
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowRight") step(1);
+    else if (e.key === "ArrowLeft") step(-1);
+    else if (e.key === "+" || e.key === "=") zoomBy(1.25);
+    else if (e.key === "-") zoomBy(0.8);
+    else if (e.key === "0") setZoom("fit");
+    else if (e.key === "1") setZoom(1);
+  };
+
+  return (
+    <div className="h-full flex flex-col gap-2 outline-none" tabIndex={0} onKeyDown={onKeyDown}>
+      <div className="flex items-center gap-2 text-sm">
+        <button onClick={() => step(-1)} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("images.prev")}>◀</button>
+        <button onClick={() => step(1)} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("images.next")}>▶</button>
+        <button onClick={() => zoomBy(0.8)} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("images.zoomOut")}>−</button>
+        <button onClick={() => zoomBy(1.25)} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10" title={t("images.zoomIn")}>+</button>
+        <button onClick={() => setZoom("fit")} className={cx("px-2 py-1 rounded-lg", zoom === "fit" ? "bg-[var(--yatrz-accent)]/30" : "bg-white/40 dark:bg-white/10")}>{t("images.fit")}</button>
+        <button onClick={() => setZoom(1)} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">100%</button>
+        <div className="flex-1" />
+        <span className="text-neutral-500 tabular-nums">
+          {scale ? `${Math.round(scale * 100)}%` : t("images.fitted")}
+          {index >= 0 && ` · ${index + 1}/${siblings.length}`}
+          {natural.w > 0 && ` · ${natural.w}×${natural.h}`}
+        </span>
+      </div>
+      <div className={cx("flex-1 min-h-0 rounded-xl bg-black/80 overflow-auto flex", scale ? "items-start justify-start" : "items-center justify-center")}>
+        {url ? (
+          <img
+            src={url}
+            alt={node?.name}
+            onLoad={(e) => setNatural({ w: e.currentTarget.naturalWidth, h: e.currentTarget.naturalHeight })}
+            className={scale ? "max-w-none" : "max-w-full max-h-full object-contain"}
+            style={scale && natural.w ? { width: natural.w * scale, height: natural.h * scale } : undefined}
+          />
+        ) : (
+          <div className="m-auto text-neutral-400 text-sm">{path ? t("images.notFound") : t("images.empty")}</div>
+        )}
       </div>
     </div>
   );
 }
 
 // Terminal
-function TerminalApp({ sys }) {
-  const [lines, setLines] = useState(["Yatrz Terminal — digite 'help' para comandos."]); 
-  const [cwd, setCwd] = useState("/");
+const TERMINAL_HISTORY_MAX = 500;
+
+function TerminalApp({ win, setWin, sys }) {
+  const [lines, setLines] = useState(() => [t("term.welcome")]);
+  const [cwd, setCwd] = useWindowState(win, setWin, "cwd", win.payload?.path || "/");
   const [input, setInput] = useState("");
-  const out = (s) => setLines((arr) => [...arr, s]);
+  const [browse, setBrowse] = useState(null); // { index, draft } while walking the history
+  const [search, setSearch] = useState(null); // { query, index } during Ctrl+R
+  const inputRef = useRef(null);
+  const caretRef = useRef(null); // caret position to apply after the next render
+  const shell = useRef(null);
+  shell.current ??= createShell(sys, {
+    cwd,
+    print: (s) => setLines((arr) => [...arr, s]),
+    clear: () => setLines([]),
+    exit: () => sys.closeWindow(win.id),
+  });
+  shell.current.sys = sys;
 
-  const run = (cmdline) => {
-    const [cmd, ...args] = cmdline.trim().split(/\s+/);
-    switch (cmd) {
-      case "help":
-        out("Comandos: ls, cd, pwd, cat, echo, touch, mkdir, rm, mv, theme, whoami, date, clear");
-        break;
-      case "ls": {
-        try {
-          const items = listDir(cwd, sys.fsRoot).map((i)=> (i.type==="dir"?"["+i.name+"]":i.name)).join("  ");
-          out(items || "(vazio)");
-        } catch(e){ out("Erro: "+e.message); }
-        break; }
-      case "cd": {
-        const p = args[0] || "/";
-        const np = normPath(cwd + "/" + p);
-        const d = findNode(np, sys.fsRoot);
-        if (d && d.type === "dir") setCwd(np); else out("diretório inválido");
-        break; }
-      case "pwd": out(cwd); break;
-      case "cat": {
-        const p = normPath(cwd + "/" + (args[0]||""));
-        const f = findNode(p, sys.fsRoot);
-        out(f?.type === "file" ? (f.content||"") : "arquivo inválido");
-        break; }
-      case "echo": out(args.join(" ")); break;
-      case "touch": {
-        const name = args[0]; if(!name){ out("uso: touch <nome>"); break;}
-        try{ sys.fsCreate(cwd, name, "file", ""); out("ok"); }catch(e){ out("Erro: "+e.message); }
-        break; }
-      case "mkdir": {
-        const name = args[0]; if(!name){ out("uso: mkdir <nome>"); break;}
-        try{ sys.fsCreate(cwd, name, "dir"); out("ok"); }catch(e){ out("Erro: "+e.message); }
-        break; }
-      case "rm": {
-        const p = normPath(cwd + "/" + (args[0]||""));
-        try{ sys.fsDelete(p); out("ok"); }catch(e){ out("Erro: "+e.message); }
-        break; }
-      case "mv": {
-        const [src, dst] = args; if(!src||!dst){ out("uso: mv <src> <dstDir>"); break; }
-        try{ sys.fsMove(normPath(cwd+"/"+src), normPath(cwd+"/"+dst)); out("ok"); }catch(e){ out("Erro: "+e.message); }
-        break; }
-      case "theme": {
-        const t = args[0]; if(["light","dark"].includes(t)){ sys.setTheme(t); out("tema: "+t);} else out("uso: theme light|dark");
-        break; }
-      case "whoami": out(storage.get("currentUser", {username:"user"}).username); break;
-      case "date": out(new Date().toString()); break;
-      case "clear": setLines([]); break;
-      default: out("Comando não encontrado");
+  // ~/.yatrzrc runs in this Terminal's shell as it opens
+  useEffect(() => {
+    const node = sys.findNode(SHELL_RC);
+    if (node?.type !== "file" || isBinaryNode(node)) return;
+    try {
+      shell.current.source(node.content || "", [SHELL_RC]);
+    } catch (e) {
+      shell.current.print(t("term.error", { error: e.message }));
     }
+    setCwd(shell.current.cwd);
+  }, []);
+
+  // Per-user history, read fresh each time so several Terminals share one list
+  const historyKey = userKey(sys.currentUser, "terminalHistory");
+  const history = () => storage.get(historyKey, []);
+  // Newest entry containing `query` older than `before`, or -1
+  const findMatch = (query, before = Infinity) => {
+    const h = history();
+    for (let i = Math.min(before, h.length) - 1; i >= 0; i--) if (h[i].includes(query)) return i;
+    return -1;
+  };
+  const match = search && search.index >= 0 ? history()[search.index] : null;
+
+  useEffect(() => {
+    if (caretRef.current === null) return;
+    inputRef.current?.setSelectionRange(caretRef.current, caretRef.current);
+    caretRef.current = null;
+  });
+
+  const edit = (value, caret = value.length) => {
+    setInput(value);
+    setBrowse(null);
+    caretRef.current = caret;
+  };
+
+  const execute = (line) => {
+    setSearch(null);
+    edit("");
+    if (!line.trim()) return;
+    setLines((arr) => [...arr, `> ${line}`]);
+    const h = history();
+    if (h[h.length - 1] !== line) storage.set(historyKey, [...h, line].slice(-TERMINAL_HISTORY_MAX));
+    shell.current.run(line);
+    setCwd(shell.current.cwd);
   };
 
   const submit = (e) => {
     e.preventDefault();
-    if (!input.trim()) return;
-    setLines((arr) => [...arr, `> ${input}`]);
-    run(input);
-    setInput("");
+    execute(match ?? input);
+  };
+
+  const cancel = () => {
+    setLines((arr) => [...arr, `> ${input}^C`]);
+    setSearch(null);
+    edit("");
+  };
+
+  // Up/Down history, Tab completion, Ctrl+R search and readline-style Ctrl keys
+  const onKeyDown = (e) => {
+    const el = e.currentTarget;
+    const ctrl = e.ctrlKey && !e.altKey && !e.metaKey;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (search) {
+      if (ctrl && key === "r") {
+        e.preventDefault();
+        const i = findMatch(search.query, search.index < 0 ? Infinity : search.index);
+        if (i >= 0) setSearch({ ...search, index: i });
+      } else if (e.key === "Escape" || (ctrl && key === "g")) {
+        e.preventDefault();
+        setSearch(null);
+      } else if (ctrl && key === "c") {
+        e.preventDefault();
+        cancel();
+      } else if (ctrl || (e.key.length > 1 && !["Backspace", "Delete", "Enter", ...MODIFIER_KEYS].includes(e.key))) {
+        // Anything else leaves the search with the match on the line
+        e.preventDefault();
+        if (match !== null) edit(match);
+        setSearch(null);
+      }
+      return;
+    }
+    if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      const h = history();
+      const i = (browse ? browse.index : h.length) + (e.key === "ArrowUp" ? -1 : 1);
+      if (i < 0 || (!browse && i >= h.length)) return;
+      if (i >= h.length) return edit(browse.draft);
+      setInput(h[i]);
+      setBrowse({ index: i, draft: browse ? browse.draft : input });
+      caretRef.current = h[i].length;
+    } else if (e.key === "Tab" && !e.shiftKey) {
+      e.preventDefault();
+      const r = shellComplete(shell.current, input, el.selectionStart);
+      if (r.options.length && r.line === input) setLines((arr) => [...arr, `> ${input}`, r.options.join("  ")]);
+      edit(r.line, r.caret);
+    } else if (!ctrl) return;
+    else if (key === "a") {
+      e.preventDefault();
+      el.setSelectionRange(0, 0);
+    } else if (key === "e") {
+      e.preventDefault();
+      el.setSelectionRange(input.length, input.length);
+    } else if (key === "u") {
+      e.preventDefault();
+      edit(input.slice(el.selectionStart), 0);
+    } else if (key === "l") {
+      e.preventDefault();
+      setLines([]);
+    } else if (key === "r") {
+      e.preventDefault();
+      setSearch({ query: "", index: -1 });
+    } else if (key === "c" && el.selectionStart === el.selectionEnd) {
+      e.preventDefault();
+      cancel();
+    }
+  };
+
+  const change = (e) => {
+    const v = e.target.value;
+    if (search) setSearch({ query: v, index: findMatch(v) });
+    else edit(v, null);
   };
 
   return (
@@ -1080,9 +6144,20 @@ function TerminalApp({ sys }) {
         <div key={i} className="whitespace-pre-wrap">{l}</div>
       ))}
       <form onSubmit={submit} className="flex gap-2 mt-2">
-        <span className="text-green-500">{cwd}$</span>
-        <input value={input} onChange={(e)=>setInput(e.target.value)} className="flex-1 bg-transparent outline-none" autoFocus />
+        <span className="text-green-500">{search ? t("term.search") : `${cwd}$`}</span>
+        <input
+          ref={inputRef}
+          value={search ? search.query : input}
+          onChange={change}
+          onKeyDown={onKeyDown}
+          className="flex-1 bg-transparent outline-none"
+          aria-label={t("app.terminal")}
+          autoComplete="off"
+          spellCheck={false}
+          autoFocus
+        />
       </form>
+      {search && <div className="whitespace-pre-wrap text-green-300">{match ?? t("term.noMatch")}</div>}
     </div>
   );
 }
@@ -1093,43 +6168,76 @@ function SettingsApp({ sys }) {
   const [accent, setAccent] = useState(sys.accent);
   const [theme, setTheme] = useState(sys.theme);
   const [density, setDensity] = useState(sys.density);
+  const [restoreSession, setRestoreSession] = useState(sys.restoreSession);
+  const [layoutMode, setLayoutMode] = useState(sys.layoutMode);
+  const [language, setLanguage] = useState(sys.language);
+  const [highContrast, setHighContrast] = useState(sys.highContrast);
+  const [motion, setMotion] = useState(sys.motion);
 
   const save = () => {
     sys.setWallpaper(wall || defaultWallpaper);
     sys.setAccent(accent);
     sys.setTheme(theme);
     sys.setDensity(density);
-    sys.notify("Configurações salvas");
+    sys.setRestoreSession(restoreSession);
+    sys.setLayoutMode(layoutMode);
+    sys.setLanguage(language);
+    sys.setHighContrast(highContrast);
+    sys.setMotion(motion);
+    setLocale(language); // so the confirmation below is already in the new language
+    sys.notify(t("settings.saved"));
   };
 
   // PWA helper — registers a minimal SW via Blob
   const registerPWA = async () => {
-    if (!("serviceWorker" in navigator)) return sys.notify("SW não suportado");
+    if (!("serviceWorker" in navigator)) return sys.notify(t("settings.swUnsupported"), { level: "warning" });
     const swCode = `self.addEventListener('install',e=>{self.skipWaiting()});self.addEventListener('activate',e=>{clients.claim()});self.addEventListener('fetch',e=>{e.respondWith(fetch(e.request).catch(()=>caches.match(e.request)))})`;
     const blob = new Blob([swCode], { type: 'text/javascript' });
     const url = URL.createObjectURL(blob);
     try {
       await navigator.serviceWorker.register(url);
-      sys.notify("Service Worker registrado (básico)");
+      sys.notify(t("settings.swRegistered"));
     } catch (e) {
-      sys.notify("Falha ao registrar SW");
+      sys.notify(t("settings.swFailed", { error: e.message }), { level: "error" });
     }
   };
 
   // Plugins
   const [plugins, setPlugins] = useState(sys.plugins);
   const addPlugin = () => {
-    const name = prompt("Nome do app:", "Meu Plugin");
+    const name = prompt(t("plugins.namePrompt"), t("plugins.defaultName"));
     if (!name) return;
-    const url = prompt("URL (iframe)", "https://example.org");
+    // Optional translations, e.g. "en=My Plugin; pt-BR=Meu Plugin"; the name becomes a locale map
+    const extra = (prompt(t("plugins.namesPrompt"), "") || "")
+      .split(";")
+      .map((s) => s.split("=").map((x) => x.trim()))
+      .filter(([lang, text]) => lang && text);
+    const url = prompt(t("plugins.urlPrompt"), "https://example.org");
     if (!url) return;
     const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
-    const icon = prompt("Ícone (emoji)", "🧩");
-    const p = { id, name, icon, url };
+    if (isBuiltinAppId(id)) return sys.notify(t("plugins.reservedId", { id }), { level: "error" });
+    const icon = prompt(t("plugins.iconPrompt"), "🧩");
+    const p = { id, name: extra.length ? { [sys.language]: name, ...Object.fromEntries(extra) } : name, icon, url };
     const arr = [...plugins, p];
     setPlugins(arr);
     sys.setPlugins(arr);
   };
+  // From a manifest: pasted JSON, or a URL to fetch it from. Installing it again updates it.
+  const addManifest = async () => {
+    const input = prompt(t("plugins.manifestPrompt"), "")?.trim();
+    if (!input) return;
+    try {
+      const fromUrl = !input.startsWith("{");
+      const json = fromUrl ? await fetch(input).then((r) => (r.ok ? r.text() : Promise.reject(new Error(`HTTP ${r.status}`)))) : input;
+      const p = parsePluginManifest(json, fromUrl ? new URL(input, location.href).href : location.href);
+      const arr = [...plugins.filter((x) => x.id !== p.id), p];
+      setPlugins(arr);
+      sys.setPlugins(arr);
+      sys.notify(t("plugins.installed", { name: localized(p.name) }), { level: "success" });
+    } catch (e) {
+      sys.notify(e.message, { level: "error", title: t("plugins.manifestFailed") });
+    }
+  };
   const removePlugin = (id) => {
     const arr = plugins.filter((p) => p.id !== id);
     setPlugins(arr);
@@ -1140,61 +6248,94 @@ function SettingsApp({ sys }) {
     <div className="space-y-4">
       <section className="grid md:grid-cols-2 gap-3">
         <div className="p-3 rounded-xl bg-white/60 dark:bg-white/5 space-y-2">
-          <h3 className="font-semibold">Aparência</h3>
-          <label className="text-sm">Wallpaper URL</label>
+          <h3 className="font-semibold">{t("settings.appearance")}</h3>
+          <label className="text-sm">{t("settings.wallpaper")}</label>
           <input value={wall} onChange={(e)=>setWall(e.target.value)} className="w-full px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none" />
           <div className="grid grid-cols-2 gap-2">
             <div>
-              <label className="text-sm">Tema</label>
+              <label className="text-sm">{t("settings.theme")}</label>
               <select value={theme} onChange={(e)=>setTheme(e.target.value)} className="w-full px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none">
-                <option value="light">Light</option>
-                <option value="dark">Dark</option>
+                <option value="light">{t("settings.themeLight")}</option>
+                <option value="dark">{t("settings.themeDark")}</option>
               </select>
             </div>
             <div>
-              <label className="text-sm">Densidade</label>
+              <label className="text-sm">{t("settings.density")}</label>
               <select value={density} onChange={(e)=>setDensity(e.target.value)} className="w-full px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none">
-                <option value="compact">Compact</option>
-                <option value="cozy">Cozy (padrão)</option>
-                <option value="comfortable">Comfortable</option>
+                <option value="compact">{t("settings.densityCompact")}</option>
+                <option value="cozy">{t("settings.densityCozy")}</option>
+                <option value="comfortable">{t("settings.densityComfortable")}</option>
               </select>
             </div>
           </div>
           <div>
-            <label className="text-sm">Acento</label>
+            <label className="text-sm">{t("settings.accent")}</label>
             <div className="flex gap-2 mt-1">
               {ACCENTS.map((a) => (
-                <button key={a} onClick={()=>setAccent(a)} className={cx("w-7 h-7 rounded-full border border-white/20", accent===a && "ring-2 ring-offset-2 ring-[var(--yatrz-accent)]")}
+                <button key={a} onClick={()=>setAccent(a)} aria-pressed={accent===a} className={cx("w-7 h-7 rounded-full border border-white/20", accent===a && "ring-2 ring-offset-2 ring-[var(--yatrz-accent)]")}
                   style={{ background: `var(--col-${a})` }}>
                   <span className="sr-only">{a}</span>
                 </button>
               ))}
             </div>
           </div>
-          <button onClick={save} className="px-3 py-2 rounded-xl bg-[var(--yatrz-accent)]/30">Salvar</button>
+          <div>
+            <label className="text-sm">{t("settings.layout")}</label>
+            <select value={layoutMode} onChange={(e)=>setLayoutMode(e.target.value)} className="w-full px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none">
+              <option value="auto">{t("settings.layoutAuto")}</option>
+              <option value="desktop">{t("settings.layoutDesktop")}</option>
+              <option value="mobile">{t("settings.layoutMobile")}</option>
+            </select>
+          </div>
+          <div>
+            <label className="text-sm">{t("settings.language")}</label>
+            <select value={language} onChange={(e)=>setLanguage(e.target.value)} className="w-full px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none">
+              {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-sm" htmlFor="settings-motion">{t("settings.motion")}</label>
+            <select id="settings-motion" value={motion} onChange={(e)=>setMotion(e.target.value)} className="w-full px-3 py-2 rounded-xl bg-white dark:bg-neutral-900 outline-none">
+              <option value="auto">{t("settings.motionAuto")}</option>
+              <option value="reduce">{t("settings.motionReduce")}</option>
+              <option value="full">{t("settings.motionFull")}</option>
+            </select>
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={highContrast} onChange={(e)=>setHighContrast(e.target.checked)} />
+            {t("settings.highContrast")}
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={restoreSession} onChange={(e)=>setRestoreSession(e.target.checked)} />
+            {t("settings.restoreSession")}
+          </label>
+          <button onClick={save} className="px-3 py-2 rounded-xl bg-[var(--yatrz-accent)]/30">{t("editor.save")}</button>
         </div>
         <div className="p-3 rounded-xl bg-white/60 dark:bg-white/5 space-y-2">
           <h3 className="font-semibold">PWA</h3>
-          <p className="text-sm text-neutral-500">Registre um Service Worker básico para uso offline (demonstração). Para produção, inclua seu sw.js e manifest.json.</p>
-          <button onClick={registerPWA} className="px-3 py-2 rounded-xl bg-white/30 dark:bg-white/10">Registrar SW</button>
+          <p className="text-sm text-neutral-500">{t("settings.pwaHelp")}</p>
+          <button onClick={registerPWA} className="px-3 py-2 rounded-xl bg-white/30 dark:bg-white/10">{t("settings.registerSw")}</button>
         </div>
       </section>
 
+      <ShortcutSettings sys={sys} />
+
       <section className="p-3 rounded-xl bg-white/60 dark:bg-white/5 space-y-2">
         <h3 className="font-semibold">Plugins</h3>
         <div className="flex gap-2 mb-2">
-          <button onClick={addPlugin} className="px-3 py-2 rounded-xl bg-[var(--yatrz-accent)]/30">Adicionar Plugin</button>
+          <button onClick={addPlugin} className="px-3 py-2 rounded-xl bg-[var(--yatrz-accent)]/30">{t("plugins.add")}</button>
+          <button onClick={addManifest} className="px-3 py-2 rounded-xl bg-white/30 dark:bg-white/10">{t("plugins.addManifest")}</button>
         </div>
         <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-2">
           {plugins.map((p) => (
             <div key={p.id} className="p-2 rounded-xl bg-white/40 dark:bg-white/10 flex items-center justify-between">
               <div className="flex items-center gap-2"><span className="text-xl">{p.icon}</span><div>
-                <div className="font-semibold">{p.name}</div>
+                <div className="font-semibold">{localized(p.name)}</div>
                 <div className="text-xs text-neutral-500">{p.url}</div>
               </div></div>
               <div className="flex items-center gap-2">
-                <button onClick={()=>window.dispatchEvent(new CustomEvent('yatrz-launch', { detail: { id: p.id } }))} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">Abrir</button>
-                <button onClick={()=>removePlugin(p.id)} className="px-2 py-1 rounded-lg bg-rose-500/30">Remover</button>
+                <button onClick={()=>window.dispatchEvent(new CustomEvent('yatrz-launch', { detail: { id: p.id } }))} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10">{t("menu.open")}</button>
+                <button onClick={()=>removePlugin(p.id)} className="px-2 py-1 rounded-lg bg-rose-500/30">{t("notify.remove")}</button>
               </div>
             </div>
           ))}
@@ -1208,6 +6349,63 @@ function SettingsApp({ sys }) {
   );
 }
 
+// Keyboard shortcuts: click a binding, then press the new combo (Esc cancels)
+function ShortcutSettings({ sys }) {
+  const [capturing, setCapturing] = useState(null);
+
+  const capture = (e, s) => {
+    e.preventDefault();
+    e.stopPropagation(); // keep the combo away from the global shortcut handler
+    if (e.key === "Escape") return setCapturing(null);
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    // The same combo may be reused by different apps, but not alongside a system shortcut
+    const clash = sys.shortcuts.find(
+      (o) => o.id !== s.id && o.keys === combo && (o.scope === s.scope || o.system || s.system)
+    );
+    if (clash) return sys.notify(t("shortcuts.clash", { combo: formatCombo(combo), label: clash.label, scope: clash.scope }));
+    sys.setShortcut(s.id, combo === s.defaultKeys ? null : combo);
+    setCapturing(null);
+  };
+
+  return (
+    <section className="p-3 rounded-xl bg-white/60 dark:bg-white/5 space-y-2">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">{t("shortcuts.title")}</h3>
+        <button onClick={sys.resetShortcuts} className="px-2 py-1 rounded-lg bg-white/40 dark:bg-white/10 text-sm">{t("shortcuts.reset")}</button>
+      </div>
+      <table className="w-full text-sm">
+        <tbody>
+          {sys.shortcuts.map((s) => (
+            <tr key={s.id} className="border-t border-white/10">
+              <td className="py-1 pr-2 text-neutral-500 whitespace-nowrap">{s.scope}</td>
+              <td className="py-1 pr-2 w-full">{s.label}</td>
+              <td className="py-1 pr-2">
+                <button
+                  onClick={() => setCapturing(s.id)}
+                  onKeyDown={capturing === s.id ? (e) => capture(e, s) : undefined}
+                  onBlur={() => capturing === s.id && setCapturing(null)}
+                  className={cx(
+                    "px-2 py-1 rounded-lg font-mono whitespace-nowrap",
+                    capturing === s.id ? "bg-[var(--yatrz-accent)]/30" : "bg-white/40 dark:bg-white/10"
+                  )}
+                >
+                  {capturing === s.id ? t("shortcuts.press") : formatCombo(s.keys)}
+                </button>
+              </td>
+              <td className="py-1">
+                {s.keys !== s.defaultKeys && (
+                  <button onClick={() => sys.setShortcut(s.id, null)} className="text-xs text-neutral-500 hover:underline whitespace-nowrap">{t("shortcuts.default")}</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
 function accentHex(a){
   const m = { cyan: "#22d3ee", blue: "#60a5fa", violet: "#a78bfa", emerald: "#34d399", rose: "#fb7185", amber: "#f59e0b" };
   return m[a] || m.cyan;
@@ -1217,21 +6415,49 @@ function accentHex(a){
  * Plugin App Factory (iframe sandbox)
  *********************************/
 function makePluginApp(plugin) {
-  return function PluginApp() {
+  return function PluginApp({ win }) {
+    // A context menu or Terminal command launch hands its payload ({ path }, { appId } or
+    // { args, cwd }) to the plugin page, and only if the frame still shows the plugin's origin
+    const onLoad = (e) => {
+      let origin;
+      try {
+        origin = new URL(plugin.url, location.href).origin;
+      } catch {
+        return;
+      }
+      if (win.payload && origin !== "null") e.target.contentWindow?.postMessage({ type: "yatrz:open", payload: win.payload }, origin);
+    };
     return (
       <div className="h-full flex flex-col gap-2">
         <div className="text-sm text-neutral-500">Sandbox: {plugin.url}</div>
-        <iframe title={plugin.name} src={plugin.url} sandbox="allow-same-origin allow-scripts allow-forms allow-popups" className="flex-1 w-full rounded-xl bg-white"></iframe>
+        <iframe title={localized(plugin.name)} src={plugin.url} onLoad={onLoad} sandbox="allow-same-origin allow-scripts allow-forms allow-popups" className="flex-1 w-full rounded-xl bg-white"></iframe>
       </div>
     );
   };
 }
 
 /*********************************
- * Global styles for accent
+ * Global styles: accent, focus rings, high contrast, reduced motion
  *********************************/
 const style = document.createElement('style');
 style.innerHTML = `
   .accent { color: var(--yatrz-accent); }
+  [data-nav]:focus-visible, [data-bar]:focus-visible, [data-name]:focus-visible, [role=menuitem]:focus-visible {
+    outline: 2px solid var(--yatrz-accent); outline-offset: 2px;
+  }
+  .yatrz-reduce-motion *, .yatrz-reduce-motion *::before, .yatrz-reduce-motion *::after {
+    animation-duration: 0.01ms !important; animation-iteration-count: 1 !important;
+    transition-duration: 0.01ms !important; scroll-behavior: auto !important;
+  }
+  .yatrz-contrast [data-win], .yatrz-contrast [role=menu], .yatrz-contrast [role=dialog], .yatrz-contrast [role=toolbar] {
+    background: Canvas !important; color: CanvasText !important; border: 2px solid CanvasText !important;
+    backdrop-filter: none !important;
+  }
+  .yatrz-contrast button, .yatrz-contrast input, .yatrz-contrast select, .yatrz-contrast textarea {
+    border: 1px solid CanvasText;
+  }
+  .yatrz-contrast *:focus-visible { outline: 3px solid Highlight !important; outline-offset: 2px; }
+  .yatrz-contrast [aria-selected=true], .yatrz-contrast [aria-pressed=true] { background: Highlight !important; color: HighlightText !important; }
+  .dark.yatrz-contrast { color-scheme: dark; }
 `;
 document.head.appendChild(style);